@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Maze file converter
+ *
+ * Rewrites maze files in the current format version with their layout in
+ * one of the encodings the game accepts:
+ *
+ *   rows   - one string per row, e.g. "#  E#" (default)
+ *   rle    - rows with runs of three or more cells counted, e.g. "#3 E#"
+ *   cells  - one array of single-character cells per row
+ *
+ * Usage:
+ *   npm run mazes:convert                       # every file in mazes/
+ *   node bin/maze-convert.js --rle mazes/huge.json
+ *
+ * Pass --check to list files that would change without rewriting them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MazeFormat = require("../js/maze-format");
+const MazeSchema = require("../js/maze-schema");
+
+const MAZE_DIR = path.join(__dirname, "..", "mazes");
+const INDEX_FILE = "index.json";
+
+const USAGE = `Usage: maze-convert [options] [files...]
+
+Options:
+      --rows    Store each layout row as a string (default)
+      --rle     Store rows as strings with runs of 3+ cells counted
+      --cells   Store each row as an array of cells
+      --check   List files that would change; write nothing
+      --help    Show this help
+
+Without files, every maze in mazes/ is converted.`;
+
+const ENCODINGS = ["rows", "rle", "cells"];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { encoding, check, help, files }
+ */
+function parseArgs(args) {
+  const options = { encoding: "rows", check: false, help: false, files: [] };
+
+  for (const arg of args) {
+    if (ENCODINGS.some((encoding) => arg === `--${encoding}`)) {
+      options.encoding = arg.slice(2);
+    } else if (arg === "--check") {
+      options.check = true;
+    } else if (arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Convert one parsed maze file
+ * @param {Object} data - Parsed maze file of any version
+ * @param {string} encoding - "rows", "rle" or "cells"
+ * @returns {Object} The maze in the current version with its layout in the
+ *   chosen encoding; other fields keep their order and values
+ */
+function convertMaze(data, encoding) {
+  const maze = MazeSchema.migrateMaze(data);
+  const layout =
+    encoding === "cells"
+      ? MazeFormat.decodeLayout(maze.layout)
+      : MazeFormat.encodeLayout(maze.layout, { runLength: encoding === "rle" });
+  return Object.assign({}, maze, { layout });
+}
+
+// File contents for a maze, formatted like the files maze-gen writes
+function formatMaze(maze) {
+  return JSON.stringify(maze, null, 4) + "\n";
+}
+
+// Maze files to convert: the ones named, or every maze in mazes/
+function listFiles(files) {
+  if (files.length > 0) return files;
+  return fs
+    .readdirSync(MAZE_DIR)
+    .filter((file) => file.endsWith(".json") && file !== INDEX_FILE)
+    .sort()
+    .map((file) => path.join(MAZE_DIR, file));
+}
+
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let failed = 0;
+  let changed = 0;
+
+  for (const file of listFiles(options.files)) {
+    let current;
+    let data;
+    try {
+      current = fs.readFileSync(file, "utf8");
+      data = JSON.parse(current);
+    } catch (err) {
+      console.error(`Not converting ${file}: ${err.message}`);
+      failed++;
+      continue;
+    }
+
+    // Placeholders without a layout have nothing to convert
+    if (!Array.isArray(data.layout)) {
+      console.warn(`Skipping ${file}: layout has not been generated`);
+      continue;
+    }
+
+    const maze = convertMaze(data, options.encoding);
+    const errors = MazeSchema.validateMaze(maze);
+    if (errors.length > 0) {
+      console.error(`Not converting ${file}:`);
+      errors.forEach((err) =>
+        console.error(`  - ${MazeSchema.formatError(err)} [${err.code}]`)
+      );
+      failed++;
+      continue;
+    }
+
+    const contents = formatMaze(maze);
+    if (contents === current) continue;
+
+    changed++;
+    if (options.check) {
+      console.log(`${file} would be rewritten`);
+    } else {
+      fs.writeFileSync(file, contents);
+      console.log(`Wrote ${file} (${options.encoding})`);
+    }
+  }
+
+  if (changed === 0 && failed === 0) {
+    console.log(`All files already use the ${options.encoding} layout`);
+  }
+  if (failed > 0) return 1;
+  return options.check && changed > 0 ? 1 : 0;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseArgs,
+  convertMaze,
+  formatMaze,
+  main,
+};
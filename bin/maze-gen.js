@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * Command-line maze generator
+ *
+ * Generates maze files in the format checked by js/maze-schema.js.
+ *
+ * Usage:
+ *   npx maze-gen --width 31 --height 31 --algorithm prim --seed 42 \
+ *     --name "Prim Maze" --out mazes/prim.json
+ *
+ * Run with --help for every option.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  generateMaze,
+  listAlgorithms,
+  normalizeSeed,
+  createSeed,
+  getAlgorithm,
+  DEFAULT_ALGORITHM,
+} = require("../js/maze-generator");
+const { measureMaze } = require("../js/maze-braid");
+const { encodeLayout, decodeLayout } = require("../js/maze-format");
+const MazeSchema = require("../js/maze-schema");
+
+const USAGE = `Usage: maze-gen [options]
+
+Options:
+  -w, --width <n>        Maze width including walls (default 21)
+  -h, --height <n>       Maze height including walls (default 21)
+  -a, --algorithm <id>   Generation algorithm (default ${DEFAULT_ALGORITHM})
+  -s, --seed <value>     Seed for a reproducible layout (default: random)
+      --braid <0-1>      Fraction of dead ends to remove (default 0)
+      --loops <0-1>      Fraction of corridor walls to open (default 0)
+  -n, --name <text>      Maze name stored in the file
+      --description <t>  Description stored in the file
+  -l, --layout <type>    Layout encoding: rows (one string per row), rle
+                         (rows with long runs counted) or cells (one
+                         array per row) (default rows)
+  -o, --out <file>       Output file (default: print to stdout)
+  -c, --count <n>        Generate several mazes; {n} in --out and --name is
+                         replaced by the maze number, otherwise "-<n>" is
+                         added before the file extension
+  -f, --force            Overwrite existing files
+      --help             Show this help
+
+Algorithms: ${listAlgorithms()
+  .map((algorithm) => algorithm.id)
+  .join(", ")}`;
+
+// Layout encodings, as in bin/maze-convert.js
+const LAYOUTS = ["rows", "rle", "cells"];
+
+// Option name -> [key, takes a value]
+const OPTIONS = {
+  "--width": ["width", true],
+  "-w": ["width", true],
+  "--height": ["height", true],
+  "-h": ["height", true],
+  "--algorithm": ["algorithm", true],
+  "-a": ["algorithm", true],
+  "--seed": ["seed", true],
+  "-s": ["seed", true],
+  "--braid": ["braid", true],
+  "--loops": ["loops", true],
+  "--name": ["name", true],
+  "-n": ["name", true],
+  "--description": ["description", true],
+  "--layout": ["layout", true],
+  "-l": ["layout", true],
+  "--out": ["out", true],
+  "-o": ["out", true],
+  "--count": ["count", true],
+  "-c": ["count", true],
+  "--force": ["force", false],
+  "-f": ["force", false],
+  "--help": ["help", false],
+};
+
+/**
+ * Parse command-line arguments into generator options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Parsed and checked options
+ */
+function parseArgs(args) {
+  const raw = {};
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let value;
+
+    // Support --option=value as well as --option value
+    const equals = arg.indexOf("=");
+    if (arg.startsWith("--") && equals !== -1) {
+      value = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+
+    if (!OPTIONS[arg]) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    const [key, takesValue] = OPTIONS[arg];
+    if (!takesValue) {
+      raw[key] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      value = args[++i];
+    }
+    raw[key] = value;
+  }
+
+  const options = {
+    width: readInteger(raw.width, "width", 21, 5, 200),
+    height: readInteger(raw.height, "height", 21, 5, 200),
+    algorithm: raw.algorithm || DEFAULT_ALGORITHM,
+    seed: raw.seed,
+    braid: readFraction(raw.braid, "braid"),
+    loops: readFraction(raw.loops, "loops"),
+    name: raw.name,
+    description: raw.description,
+    layout: raw.layout || "rows",
+    out: raw.out,
+    count: readInteger(raw.count, "count", 1, 1, 1000),
+    force: !!raw.force,
+    help: !!raw.help,
+  };
+
+  // Fail early with the list of valid ids
+  getAlgorithm(options.algorithm);
+
+  if (!LAYOUTS.includes(options.layout)) {
+    throw new Error(`--layout must be one of ${LAYOUTS.join(", ")}`);
+  }
+
+  if (options.count > 1 && !options.out) {
+    throw new Error("--count needs --out to name the files");
+  }
+
+  return options;
+}
+
+// Read a whole number option within [min, max]
+function readInteger(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`--${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Read a 0-1 fraction option
+function readFraction(value, name) {
+  if (value === undefined) return 0;
+
+  const number = Number(value);
+  if (isNaN(number) || number < 0 || number > 1) {
+    throw new Error(`--${name} must be a number from 0 to 1`);
+  }
+  return number;
+}
+
+// Fill in the maze number for batch output
+function numbered(template, number, count, addSuffix) {
+  if (count === 1) return template;
+  if (template.includes("{n}")) return template.split("{n}").join(number);
+  if (!addSuffix) return `${template} #${number}`;
+
+  const extension = path.extname(template);
+  const base = template.slice(0, template.length - extension.length);
+  return `${base}-${number}${extension}`;
+}
+
+/**
+ * Generate the maze files described by the options
+ * @param {Object} options - Options from parseArgs
+ * @returns {Array<Object>} Entries with the output path (or null for stdout)
+ *   and the maze data
+ */
+function buildMazeFiles(options) {
+  const files = [];
+  const baseSeed =
+    options.seed === undefined ? null : normalizeSeed(options.seed);
+  const label = getAlgorithm(options.algorithm).label;
+
+  for (let i = 0; i < options.count; i++) {
+    const number = i + 1;
+
+    // Consecutive seeds keep a batch reproducible from its first seed
+    const seed = baseSeed === null ? createSeed() : (baseSeed + i) >>> 0;
+
+    const layout = generateMaze(options.width, options.height, {
+      seed,
+      algorithm: options.algorithm,
+      braid: options.braid,
+      loops: options.loops,
+    });
+
+    const name = numbered(
+      options.name || `Generated Maze (${options.width}×${options.height})`,
+      number,
+      options.count,
+      false
+    );
+
+    const data = {
+      version: MazeSchema.CURRENT_VERSION,
+      name,
+      width: options.width,
+      height: options.height,
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exit: { x: options.width - 2, y: options.height - 2 },
+    };
+    if (options.description) data.description = options.description;
+    data.generationMethod = `Procedural - ${label}`;
+    data.algorithm = options.algorithm;
+    data.seed = seed;
+    if (options.braid) data.braid = options.braid;
+    if (options.loops) data.loops = options.loops;
+    data.layout =
+      options.layout === "cells"
+        ? layout
+        : encodeLayout(layout, { runLength: options.layout === "rle" });
+
+    files.push({
+      path: options.out
+        ? numbered(options.out, number, options.count, true)
+        : null,
+      data,
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Validate every generated maze and write them out. Nothing is written if
+ * any maze is invalid or any target exists without --force.
+ * @param {Array<Object>} files - Entries from buildMazeFiles
+ * @param {Object} options - Options from parseArgs
+ * @returns {boolean} Whether the files were written
+ */
+function writeMazeFiles(files, options) {
+  let ok = true;
+
+  // Problems go to stderr so they never mix with a maze printed to stdout
+  for (const file of files) {
+    const errors = MazeSchema.validateMaze(file.data);
+    if (errors.length > 0) {
+      console.error(`Generated maze ${file.data.name} is invalid:`);
+      errors.forEach((err) =>
+        console.error(`  - ${MazeSchema.formatError(err)} [${err.code}]`)
+      );
+      ok = false;
+    }
+  }
+  if (!ok) {
+    console.error("Generated maze failed validation; nothing was written");
+    return false;
+  }
+
+  if (!options.force) {
+    const existing = files.filter(
+      (file) => file.path && fs.existsSync(file.path)
+    );
+    if (existing.length > 0) {
+      existing.forEach((file) =>
+        console.error(`Refusing to overwrite ${file.path}`)
+      );
+      console.error("Use --force to overwrite existing files");
+      return false;
+    }
+  }
+
+  for (const file of files) {
+    const json = JSON.stringify(file.data, null, 4);
+    if (file.path) {
+      fs.mkdirSync(path.dirname(path.resolve(file.path)), { recursive: true });
+      fs.writeFileSync(file.path, json + "\n");
+      const metrics = measureMaze(decodeLayout(file.data.layout));
+      console.log(
+        `Wrote ${file.path}: ${file.data.width}x${file.data.height} ` +
+          `${file.data.algorithm}, seed ${file.data.seed}, ` +
+          `${metrics.deadEnds} dead ends, ${metrics.loops} loops`
+      );
+    } else {
+      process.stdout.write(json + "\n");
+    }
+  }
+
+  return true;
+}
+
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const files = buildMazeFiles(options);
+  return writeMazeFiles(files, options) ? 0 : 1;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseArgs,
+  buildMazeFiles,
+  writeMazeFiles,
+  main,
+};
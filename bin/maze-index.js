@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Maze manifest builder
+ *
+ * Scans mazes/ and writes mazes/index.json, the list of mazes that the game,
+ * editor and tester offer. Run it after adding, removing or renaming a maze:
+ *
+ *   npm run mazes:index
+ *
+ * Pass --check to report a stale manifest without rewriting it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { measureMaze } = require("../js/maze-braid");
+const MazeSolver = require("../js/maze-solver");
+const MazeFormat = require("../js/maze-format");
+const MazeAnalysis = require("../js/maze-analysis");
+
+const MAZE_DIR = path.join(__dirname, "..", "mazes");
+const INDEX_FILE = "index.json";
+
+// Number of steps on the shortest route from the start to the nearest exit
+// (picking up keys and, when required, every item on the way), or -1 when no
+// exit can be reached
+function getSolutionLength(maze) {
+  return MazeSolver.getSolutionLength(
+    MazeFormat.prepareLayout(maze),
+    maze.playerStart,
+    null,
+    { collectAll: !!maze.collectAll }
+  );
+}
+
+// Difficulty label from the maze file, or worked out from its layout (the
+// shortest route, dead ends and decision points)
+function getDifficulty(maze) {
+  if (typeof maze.difficulty === "string") return maze.difficulty;
+
+  const analysis = MazeAnalysis.analyzeMaze(
+    MazeFormat.prepareLayout(maze),
+    maze.playerStart,
+    { collectAll: !!maze.collectAll }
+  );
+  // A maze that can't be solved is as hard as they come
+  return analysis.difficulty || "hard";
+}
+
+// Size class shared by the name conventions of the bundled mazes
+function getSizeTag(maze) {
+  const area = maze.width * maze.height;
+  if (area <= 49) return "tiny";
+  if (area <= 144) return "small";
+  if (area <= 400) return "medium";
+  if (area <= 625) return "large";
+  return "huge";
+}
+
+// Tags from the maze file, or derived from its contents
+function getTags(maze) {
+  if (Array.isArray(maze.tags)) return maze.tags.slice();
+
+  const tags = [getSizeTag(maze)];
+  const layout = MazeFormat.prepareLayout(maze);
+  const { EXIT, DOOR, ITEM } = MazeFormat.CELLS;
+  if (MazeFormat.countCells(layout, EXIT) > 1) tags.push("multi-exit");
+  if (MazeFormat.countCells(layout, DOOR) > 0) tags.push("doors");
+  if (MazeFormat.countCells(layout, ITEM) > 0) tags.push("items");
+  if (maze.seed !== undefined || maze.generationMethod) tags.push("generated");
+  if (measureMaze(maze.layout).loops > 0) tags.push("loops");
+  return tags;
+}
+
+/**
+ * Build the manifest for every maze file in a directory
+ * @param {string} [mazeDir] - Directory holding the maze files
+ * @returns {Object} Manifest with a mazes array of
+ *   { name, file, size: { width, height }, difficulty, tags }
+ */
+function buildMazeIndex(mazeDir = MAZE_DIR) {
+  const mazes = [];
+
+  const files = fs
+    .readdirSync(mazeDir)
+    .filter((file) => file.endsWith(".json") && file !== INDEX_FILE)
+    .sort();
+
+  for (const file of files) {
+    const data = JSON.parse(fs.readFileSync(path.join(mazeDir, file), "utf8"));
+    // Work on cells whether the rows are stored as arrays or strings
+    const maze = Object.assign({}, data, {
+      layout: MazeFormat.decodeLayout(data.layout),
+    });
+
+    // Placeholders without a layout can't be played yet
+    if (!Array.isArray(maze.layout)) {
+      console.warn(`Skipping ${file}: layout has not been generated`);
+      continue;
+    }
+
+    mazes.push({
+      name: maze.name || path.basename(file, ".json"),
+      file,
+      size: { width: maze.width, height: maze.height },
+      difficulty: getDifficulty(maze),
+      tags: getTags(maze),
+    });
+  }
+
+  // Smallest first, which is also roughly easiest first
+  mazes.sort(
+    (a, b) =>
+      a.size.width * a.size.height - b.size.width * b.size.height ||
+      a.name.localeCompare(b.name)
+  );
+
+  return { mazes };
+}
+
+// Manifest file contents, formatted like the maze files
+function formatMazeIndex(index) {
+  return JSON.stringify(index, null, 4) + "\n";
+}
+
+function main(args) {
+  const indexPath = path.join(MAZE_DIR, INDEX_FILE);
+  const contents = formatMazeIndex(buildMazeIndex());
+
+  if (args.includes("--check")) {
+    const current = fs.existsSync(indexPath)
+      ? fs.readFileSync(indexPath, "utf8")
+      : "";
+    if (current !== contents) {
+      console.error(`${indexPath} is out of date; run npm run mazes:index`);
+      return 1;
+    }
+    console.log(`${indexPath} is up to date`);
+    return 0;
+  }
+
+  fs.writeFileSync(indexPath, contents);
+  console.log(`Wrote ${indexPath}`);
+  return 0;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  buildMazeIndex,
+  formatMazeIndex,
+  getSolutionLength,
+};
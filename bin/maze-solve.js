@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Solver agent report
+ *
+ * Lets every solver agent (js/maze-agents.js) play each maze and prints how
+ * many commands (steps and turns) it took, as a rough way to compare how
+ * hard the mazes are to find a way through:
+ *
+ *   npm run mazes:solve                         # every file in mazes/
+ *   node bin/maze-solve.js --agent tremaux mazes/huge.json
+ *
+ * Run with --help for every option.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MazeSchema = require("../js/maze-schema");
+const { GameEngine } = require("../js/maze-engine");
+const { listAgents, getAgent, createAgent, runAgent } = require(
+  "../js/maze-agents"
+);
+
+const MAZE_DIR = path.join(__dirname, "..", "mazes");
+const INDEX_FILE = "index.json";
+
+const USAGE = `Usage: maze-solve [options] [files...]
+
+Options:
+      --agent <id>       Only run this agent; repeat for several (default:
+                         every agent)
+      --max-steps <n>    Commands an agent gets before it counts as lost
+                         (default: 20 per maze cell)
+      --json             Print the results as JSON
+      --help             Show this help
+
+Agents: ${listAgents()
+  .map((agent) => agent.id)
+  .join(", ")}
+
+Without files, every maze in mazes/ is solved.`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { agents, maxSteps, json, help, files }
+ */
+function parseArgs(args) {
+  const options = {
+    agents: [],
+    maxSteps: undefined,
+    json: false,
+    help: false,
+    files: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--agent" || arg === "--max-steps") {
+      if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}`);
+      const value = args[++i];
+      if (arg === "--agent") {
+        // Fail early with the list of valid ids
+        getAgent(value);
+        options.agents.push(value);
+      } else {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+          throw new Error("--max-steps must be a whole number above 0");
+        }
+        options.maxSteps = number;
+      }
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.agents.length === 0) {
+    options.agents = listAgents().map((agent) => agent.id);
+  }
+  return options;
+}
+
+// Maze files to solve: the ones named, or every maze in mazes/
+function listFiles(files) {
+  if (files.length > 0) return files;
+  return fs
+    .readdirSync(MAZE_DIR)
+    .filter((file) => file.endsWith(".json") && file !== INDEX_FILE)
+    .sort()
+    .map((file) => path.join(MAZE_DIR, file));
+}
+
+/**
+ * Let each agent play one maze from its start
+ * @param {Object} mazeData - Maze file contents in the current version
+ * @param {Array<string>} agents - Agent ids
+ * @param {Object} [options]
+ * @param {number} [options.maxSteps] - As for MazeAgents.runAgent
+ * @returns {Array<Object>} { agent, solved, steps, moves, turns, bumps } for
+ *   each agent
+ */
+function solveMaze(mazeData, agents, options = {}) {
+  return agents.map((id) => {
+    const engine = new GameEngine({ mazeData, now: () => 0 });
+    const result = runAgent(engine, createAgent(id), {
+      maxSteps: options.maxSteps,
+    });
+    return Object.assign({ agent: id }, result);
+  });
+}
+
+/**
+ * Table of commands taken, one row per maze and one column per agent;
+ * "lost" marks an agent that never reached an exit
+ * @param {Array<Object>} reports - { file, results } from solveMaze
+ * @param {Array<string>} agents - Agent ids, in column order
+ * @returns {string}
+ */
+function formatTable(reports, agents) {
+  const rows = [["Maze"].concat(agents)].concat(
+    reports.map((report) =>
+      [report.file].concat(
+        report.results.map((result) =>
+          result.solved ? String(result.steps) : "lost"
+        )
+      )
+    )
+  );
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) =>
+          column === 0 ? cell.padEnd(widths[0]) : cell.padStart(widths[column])
+        )
+        .join("  ")
+    )
+    .join("\n");
+}
+
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const reports = [];
+  let failed = 0;
+
+  for (const file of listFiles(options.files)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error(`Not solving ${file}: ${err.message}`);
+      failed++;
+      continue;
+    }
+
+    const { maze, errors } = MazeSchema.loadMaze(data);
+    if (errors.length > 0) {
+      console.error(`Not solving ${file}:`);
+      errors.forEach((err) =>
+        console.error(`  - ${MazeSchema.formatError(err)} [${err.code}]`)
+      );
+      failed++;
+      continue;
+    }
+
+    reports.push({
+      file: path.basename(file),
+      results: solveMaze(maze, options.agents, { maxSteps: options.maxSteps }),
+    });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else if (reports.length > 0) {
+    console.log(formatTable(reports, options.agents));
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseArgs,
+  solveMaze,
+  formatTable,
+  main,
+};
@@ -0,0 +1,328 @@
+/**
+ * Solver agents
+ *
+ * Computer players that find their way through a maze with the same
+ * commands a player has: step forward or back and turn left or right. Each
+ * agent only looks at what the game engine tells a player (the cells around
+ * them, and whether the exits are open) except the shortest-path agent,
+ * which reads the whole layout to plan its route.
+ *
+ * - Wall followers keep one hand on the wall; they can circle forever round
+ *   a loop that doesn't touch the outer wall.
+ * - Trémaux's algorithm marks each passage it takes and never walks one more
+ *   than twice, so it finds an exit in any maze.
+ * - The shortest-path agent asks the engine for the best route (a
+ *   breadth-first search, as for hints) and walks it.
+ *
+ * Every agent steps onto an open exit next to it. In the browser,
+ * js/maze-engine.js must be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./maze-engine"));
+  } else {
+    root.MazeAgents = factory(root.MazeEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (MazeEngine) {
+  const { COMMANDS } = MazeEngine;
+
+  // Direction vectors: 0 = North, 1 = East, 2 = South, 3 = West
+  const DX = [0, 1, 0, -1];
+  const DY = [-1, 0, 1, 0];
+
+  // Facing after turning a quarter from `direction` (-1 left, 1 right)
+  function turn(direction, quarters) {
+    return (direction + quarters + 4) % 4;
+  }
+
+  // Whether the player can't step from where they stand in `direction`
+  function isBlocked(engine, direction) {
+    return engine.checkWall(
+      engine.player.x + DX[direction],
+      engine.player.y + DY[direction]
+    );
+  }
+
+  // Direction of an open exit next to the player, or -1
+  function findOpenExit(engine) {
+    if (!engine.areExitsOpen()) return -1;
+    const path = engine.getAvailablePaths().find((p) => p.isExit);
+    return path ? path.direction : -1;
+  }
+
+  /**
+   * The next command on the way to stepping in `direction`: step forward or
+   * back when facing along it, otherwise turn towards it
+   */
+  function getCommandToward(engine, direction) {
+    const facing = engine.player.direction;
+    if (direction === facing) return COMMANDS.FORWARD;
+    if (direction === turn(facing, 2)) return COMMANDS.BACKWARD;
+    return direction === turn(facing, -1)
+      ? COMMANDS.TURN_LEFT
+      : COMMANDS.TURN_RIGHT;
+  }
+
+  // Keep the left (side -1) or right (side 1) hand on the wall
+  function createWallFollower(side) {
+    const turnToHand = side < 0 ? COMMANDS.TURN_LEFT : COMMANDS.TURN_RIGHT;
+    const turnAway = side < 0 ? COMMANDS.TURN_RIGHT : COMMANDS.TURN_LEFT;
+    let turnedToHand = false;
+
+    return {
+      nextCommand(engine) {
+        const exit = findOpenExit(engine);
+        if (exit >= 0) return getCommandToward(engine, exit);
+
+        const facing = engine.player.direction;
+        // After turning into an opening, walk through it before turning again
+        if (turnedToHand) {
+          turnedToHand = false;
+          if (!isBlocked(engine, facing)) return COMMANDS.FORWARD;
+        }
+        if (!isBlocked(engine, turn(facing, side))) {
+          turnedToHand = true;
+          return turnToHand;
+        }
+        if (!isBlocked(engine, facing)) return COMMANDS.FORWARD;
+        return turnAway;
+      },
+    };
+  }
+
+  // Key for the passage between (x, y) and its neighbour in `direction`,
+  // the same from either end
+  function passageKey(x, y, direction) {
+    if (direction === 1) return `${x + 1},${y},3`;
+    if (direction === 2) return `${x},${y + 1},0`;
+    return `${x},${y},${direction}`;
+  }
+
+  // Trémaux's algorithm: mark passages as they are walked, turn back on
+  // reaching a visited cell down a new passage, and prefer passages walked
+  // least
+  function createTremaux() {
+    const marks = new Map();
+    const visited = new Set();
+    let cameFrom = null;
+    let arrivedAtVisited = false;
+    let heading = null;
+
+    const getMarks = (engine, direction) =>
+      marks.get(passageKey(engine.player.x, engine.player.y, direction)) || 0;
+
+    // Pick the passage to take out of the current cell, or null when every
+    // one has been walked twice
+    const choose = (engine) => {
+      const exit = findOpenExit(engine);
+      if (exit >= 0) return exit;
+
+      const back = cameFrom === null ? null : turn(cameFrom, 2);
+      if (arrivedAtVisited && back !== null && getMarks(engine, back) === 1) {
+        return back;
+      }
+
+      // Ahead first, then right, left and back, walked least first
+      const facing = engine.player.direction;
+      const options = [0, 1, 3, 2]
+        .map((quarters) => turn(facing, quarters))
+        .filter(
+          (direction) =>
+            !isBlocked(engine, direction) && getMarks(engine, direction) < 2
+        );
+      const onward = options.filter((direction) => direction !== back);
+      const candidates = onward.length > 0 ? onward : options;
+      if (candidates.length === 0) return null;
+      return candidates.reduce((best, direction) =>
+        getMarks(engine, direction) < getMarks(engine, best) ? direction : best
+      );
+    };
+
+    return {
+      nextCommand(engine) {
+        const here = `${engine.player.x},${engine.player.y}`;
+        if (heading === null) {
+          visited.add(here);
+          heading = choose(engine);
+          if (heading === null) return null;
+        }
+
+        const command = getCommandToward(engine, heading);
+        if (command === COMMANDS.FORWARD || command === COMMANDS.BACKWARD) {
+          const key = passageKey(engine.player.x, engine.player.y, heading);
+          marks.set(key, (marks.get(key) || 0) + 1);
+          const x = engine.player.x + DX[heading];
+          const y = engine.player.y + DY[heading];
+          arrivedAtVisited = visited.has(`${x},${y}`);
+          cameFrom = heading;
+          heading = null;
+        }
+        return command;
+      },
+    };
+  }
+
+  // Plan the shortest route from where the player stands, past any keys
+  // and items still needed, and walk it
+  function createShortestPath() {
+    let route = null;
+    let index = 0;
+
+    const plan = (engine) => {
+      route = engine.getRouteToExit();
+      index = 0;
+    };
+
+    return {
+      nextCommand(engine) {
+        const { x, y } = engine.player;
+        const onRoute =
+          route && route[index] && route[index].x === x && route[index].y === y;
+        if (!onRoute) plan(engine);
+        if (!route || index + 1 >= route.length) return null;
+
+        const next = route[index + 1];
+        const direction = DX.findIndex(
+          (dx, d) => x + dx === next.x && y + DY[d] === next.y
+        );
+        const command = getCommandToward(engine, direction);
+        if (command === COMMANDS.FORWARD || command === COMMANDS.BACKWARD) {
+          index++;
+        }
+        return command;
+      },
+    };
+  }
+
+  const agents = {
+    "left-hand": {
+      label: "Left-hand wall follower",
+      create: () => createWallFollower(-1),
+    },
+    "right-hand": {
+      label: "Right-hand wall follower",
+      create: () => createWallFollower(1),
+    },
+    tremaux: { label: "Trémaux", create: createTremaux },
+    shortest: { label: "Shortest path (BFS)", create: createShortestPath },
+  };
+
+  /**
+   * Look up an agent by id
+   * @param {string} id
+   * @returns {Object} { label, create }
+   */
+  function getAgent(id) {
+    if (!Object.prototype.hasOwnProperty.call(agents, id)) {
+      throw new Error(
+        `Unknown solver agent "${id}". Available: ${Object.keys(agents).join(
+          ", "
+        )}`
+      );
+    }
+    return agents[id];
+  }
+
+  /**
+   * List the available agents
+   * @returns {Array<Object>} { id, label } for each agent
+   */
+  function listAgents() {
+    return Object.keys(agents).map((id) => ({ id, label: agents[id].label }));
+  }
+
+  /**
+   * A fresh agent, ready to start a run
+   * @param {string} id - One of listAgents()
+   * @returns {Object} Agent whose nextCommand(engine) returns the next
+   *   command from MazeEngine.COMMANDS, or null when it has given up
+   */
+  function createAgent(id) {
+    return getAgent(id).create();
+  }
+
+  // Commands an agent gets before it counts as lost: plenty for any agent
+  // that is getting somewhere
+  function getStepLimit(engine) {
+    return engine.width * engine.height * 20;
+  }
+
+  // An agent playing a run one command at a time, so a game can animate
+  // each move and let the player take over once the agent gives up
+  class AgentRun {
+    /**
+     * @param {Object} engine - MazeEngine.GameEngine to play
+     * @param {Object} agent - From createAgent
+     * @param {Object} [options]
+     * @param {number} [options.maxSteps] - Most commands to give; see
+     *   getStepLimit
+     */
+    constructor(engine, agent, options = {}) {
+      this.engine = engine;
+      this.agent = agent;
+      this.maxSteps = options.maxSteps || getStepLimit(engine);
+      this.steps = 0;
+      this.gaveUp = false;
+    }
+
+    /**
+     * Give the agent's next command to the engine
+     * @returns {boolean} false once the run is over or the agent has given
+     *   up or run out of steps; it gets no more turns after giving up
+     */
+    step() {
+      if (this.gaveUp || this.engine.isComplete) return false;
+
+      const command =
+        this.steps < this.maxSteps ? this.agent.nextCommand(this.engine) : null;
+      if (!command) {
+        this.gaveUp = true;
+        return false;
+      }
+
+      this.engine.apply(command);
+      this.steps++;
+      return true;
+    }
+
+    // Whether the agent itself reached the exit, rather than a player who
+    // took over after it gave up
+    get solved() {
+      return this.engine.isComplete && !this.gaveUp;
+    }
+  }
+
+  /**
+   * Let an agent play a run until it reaches an exit, gives up or runs out
+   * of steps
+   * @param {Object} engine - MazeEngine.GameEngine to play
+   * @param {Object} agent - From createAgent
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps] - Most commands to give; see
+   *   getStepLimit
+   * @returns {Object} { solved, steps (commands given), moves, turns, bumps }
+   */
+  function runAgent(engine, agent, options = {}) {
+    const run = new AgentRun(engine, agent, options);
+    while (run.step());
+
+    const stats = engine.session.getStats();
+    return {
+      solved: run.solved,
+      steps: run.steps,
+      moves: stats.moves,
+      turns: stats.turns,
+      bumps: stats.bumps,
+    };
+  }
+
+  return {
+    listAgents,
+    getAgent,
+    createAgent,
+    getStepLimit,
+    AgentRun,
+    runAgent,
+  };
+});
@@ -0,0 +1,338 @@
+/**
+ * Maze generation algorithms
+ *
+ * Each algorithm carves a perfect maze (exactly one path between any two
+ * cells) into a grid that starts out as solid walls. Cells sit at odd
+ * coordinates and the walls between them at even ones, so a cell at cell
+ * coordinates (cx, cy) is the layout position (2 * cx + 1, 2 * cy + 1).
+ *
+ * Every algorithm has the signature carve(maze, width, height, random), where
+ * random() behaves like Math.random. The generator in maze-generator.js opens
+ * the start and exit around whatever the algorithm carves.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeAlgorithms = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Neighbour offsets in cell coordinates (up, right, down, left)
+  const CELL_DIRECTIONS = [
+    { dx: 0, dy: -1 },
+    { dx: 1, dy: 0 },
+    { dx: 0, dy: 1 },
+    { dx: -1, dy: 0 },
+  ];
+
+  // Number of cells that fit inside the boundary walls
+  function getCellGrid(width, height) {
+    return {
+      cols: Math.floor((width - 1) / 2),
+      rows: Math.floor((height - 1) / 2),
+    };
+  }
+
+  // Open the layout position of a cell
+  function openCell(maze, cx, cy) {
+    maze[2 * cy + 1][2 * cx + 1] = " ";
+  }
+
+  // Open two neighbouring cells and the wall between them
+  function openPassage(maze, ax, ay, bx, by) {
+    openCell(maze, ax, ay);
+    openCell(maze, bx, by);
+    maze[ay + by + 1][ax + bx + 1] = " ";
+  }
+
+  // Cells next to (cx, cy) that lie inside the grid
+  function getNeighbors(grid, cx, cy) {
+    const neighbors = [];
+    for (const dir of CELL_DIRECTIONS) {
+      const nx = cx + dir.dx;
+      const ny = cy + dir.dy;
+      if (nx >= 0 && nx < grid.cols && ny >= 0 && ny < grid.rows) {
+        neighbors.push({ x: nx, y: ny });
+      }
+    }
+    return neighbors;
+  }
+
+  // Pick a random element of an array
+  function pick(items, random) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  // Shuffle an array in place (Fisher-Yates)
+  function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // Randomized Prim's algorithm: grow the maze from one cell by repeatedly
+  // connecting a random frontier cell to the part already carved
+  function carvePrim(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+    const inMaze = new Set();
+    const frontier = new Map();
+
+    const addCell = (cx, cy) => {
+      inMaze.add(`${cx},${cy}`);
+      openCell(maze, cx, cy);
+      for (const n of getNeighbors(grid, cx, cy)) {
+        const key = `${n.x},${n.y}`;
+        if (!inMaze.has(key)) {
+          frontier.set(key, n);
+        }
+      }
+    };
+
+    addCell(0, 0);
+
+    while (frontier.size > 0) {
+      const key = pick(Array.from(frontier.keys()), random);
+      const cell = frontier.get(key);
+      frontier.delete(key);
+
+      const carved = getNeighbors(grid, cell.x, cell.y).filter((n) =>
+        inMaze.has(`${n.x},${n.y}`)
+      );
+      const target = pick(carved, random);
+
+      openPassage(maze, cell.x, cell.y, target.x, target.y);
+      addCell(cell.x, cell.y);
+    }
+  }
+
+  // Randomized Kruskal's algorithm: knock down walls in random order whenever
+  // they separate two cells that aren't connected yet
+  function carveKruskal(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+    const parent = [];
+    const edges = [];
+
+    for (let cy = 0; cy < grid.rows; cy++) {
+      for (let cx = 0; cx < grid.cols; cx++) {
+        parent.push(cy * grid.cols + cx);
+        openCell(maze, cx, cy);
+        if (cx + 1 < grid.cols) {
+          edges.push({ ax: cx, ay: cy, bx: cx + 1, by: cy });
+        }
+        if (cy + 1 < grid.rows) {
+          edges.push({ ax: cx, ay: cy, bx: cx, by: cy + 1 });
+        }
+      }
+    }
+
+    // Union-find with path halving
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    for (const edge of shuffle(edges, random)) {
+      const a = find(edge.ay * grid.cols + edge.ax);
+      const b = find(edge.by * grid.cols + edge.bx);
+      if (a !== b) {
+        parent[a] = b;
+        openPassage(maze, edge.ax, edge.ay, edge.bx, edge.by);
+      }
+    }
+  }
+
+  // Wilson's algorithm: loop-erased random walks from every unvisited cell
+  // until they hit the maze, giving a uniform spanning tree (no bias towards
+  // long corridors or short dead ends)
+  function carveWilson(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+    const inMaze = new Set();
+    const cells = [];
+
+    for (let cy = 0; cy < grid.rows; cy++) {
+      for (let cx = 0; cx < grid.cols; cx++) {
+        cells.push({ x: cx, y: cy });
+      }
+    }
+
+    const first = pick(cells, random);
+    inMaze.add(`${first.x},${first.y}`);
+    openCell(maze, first.x, first.y);
+
+    for (const start of shuffle(cells, random)) {
+      if (inMaze.has(`${start.x},${start.y}`)) continue;
+
+      // Walk until reaching the maze, remembering only the last exit taken
+      // from each cell so loops erase themselves
+      const exits = new Map();
+      let current = start;
+      while (!inMaze.has(`${current.x},${current.y}`)) {
+        const next = pick(getNeighbors(grid, current.x, current.y), random);
+        exits.set(`${current.x},${current.y}`, next);
+        current = next;
+      }
+
+      // Carve the loop-erased path into the maze
+      current = start;
+      while (!inMaze.has(`${current.x},${current.y}`)) {
+        const key = `${current.x},${current.y}`;
+        const next = exits.get(key);
+        openPassage(maze, current.x, current.y, next.x, next.y);
+        inMaze.add(key);
+        current = next;
+      }
+    }
+  }
+
+  // Eller's algorithm: build the maze one row at a time, tracking which cells
+  // are connected so every set reaches the next row and the last row joins
+  // everything together
+  function carveEller(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+    let rowSets = new Array(grid.cols).fill(0);
+    let nextSet = 1;
+
+    for (let cy = 0; cy < grid.rows; cy++) {
+      const isLastRow = cy === grid.rows - 1;
+
+      // Cells not yet connected from above start in their own set
+      for (let cx = 0; cx < grid.cols; cx++) {
+        openCell(maze, cx, cy);
+        if (!rowSets[cx]) rowSets[cx] = nextSet++;
+      }
+
+      // Randomly join neighbours in different sets (always on the last row)
+      for (let cx = 0; cx + 1 < grid.cols; cx++) {
+        if (rowSets[cx] === rowSets[cx + 1]) continue;
+        if (!isLastRow && random() < 0.5) continue;
+
+        openPassage(maze, cx, cy, cx + 1, cy);
+        const merged = rowSets[cx + 1];
+        rowSets = rowSets.map((set) => (set === merged ? rowSets[cx] : set));
+      }
+
+      if (isLastRow) break;
+
+      // Every set carries on downwards at least once
+      const below = new Array(grid.cols).fill(0);
+      const members = new Map();
+      rowSets.forEach((set, cx) => {
+        if (!members.has(set)) members.set(set, []);
+        members.get(set).push(cx);
+      });
+
+      for (const [set, columns] of members) {
+        shuffle(columns, random);
+        columns.forEach((cx, i) => {
+          if (i === 0 || random() < 0.3) {
+            openPassage(maze, cx, cy, cx, cy + 1);
+            below[cx] = set;
+          }
+        });
+      }
+
+      rowSets = below;
+    }
+  }
+
+  // Binary tree: every cell opens either north or west, which makes a fast
+  // but strongly biased maze with open corridors along the top and left
+  function carveBinaryTree(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+
+    for (let cy = 0; cy < grid.rows; cy++) {
+      for (let cx = 0; cx < grid.cols; cx++) {
+        openCell(maze, cx, cy);
+
+        const options = [];
+        if (cy > 0) options.push({ x: cx, y: cy - 1 });
+        if (cx > 0) options.push({ x: cx - 1, y: cy });
+
+        if (options.length > 0) {
+          const target = pick(options, random);
+          openPassage(maze, cx, cy, target.x, target.y);
+        }
+      }
+    }
+  }
+
+  // Recursive division: start from an open room and keep splitting it with a
+  // wall that has a single gap until every room is one cell wide
+  function carveRecursiveDivision(maze, width, height, random) {
+    const grid = getCellGrid(width, height);
+
+    // Open every cell and the passages between them; the wall positions
+    // between four cells stay solid
+    for (let cy = 0; cy < grid.rows; cy++) {
+      for (let cx = 0; cx < grid.cols; cx++) {
+        openCell(maze, cx, cy);
+        if (cx + 1 < grid.cols) openPassage(maze, cx, cy, cx + 1, cy);
+        if (cy + 1 < grid.rows) openPassage(maze, cx, cy, cx, cy + 1);
+      }
+    }
+
+    const rooms = [{ x: 0, y: 0, cols: grid.cols, rows: grid.rows }];
+
+    while (rooms.length > 0) {
+      const room = rooms.pop();
+      if (room.cols < 2 || room.rows < 2) continue;
+
+      const horizontal =
+        room.rows > room.cols || (room.rows === room.cols && random() < 0.5);
+
+      if (horizontal) {
+        // Wall below row `split`, with a gap in column `gap`
+        const split = room.y + Math.floor(random() * (room.rows - 1));
+        const gap = room.x + Math.floor(random() * room.cols);
+        const wallY = 2 * split + 2;
+        for (let x = 2 * room.x + 1; x <= 2 * (room.x + room.cols) - 1; x++) {
+          if (x !== 2 * gap + 1) maze[wallY][x] = "#";
+        }
+        rooms.push(
+          { x: room.x, y: room.y, cols: room.cols, rows: split - room.y + 1 },
+          {
+            x: room.x,
+            y: split + 1,
+            cols: room.cols,
+            rows: room.y + room.rows - split - 1,
+          }
+        );
+      } else {
+        // Wall right of column `split`, with a gap in row `gap`
+        const split = room.x + Math.floor(random() * (room.cols - 1));
+        const gap = room.y + Math.floor(random() * room.rows);
+        const wallX = 2 * split + 2;
+        for (let y = 2 * room.y + 1; y <= 2 * (room.y + room.rows) - 1; y++) {
+          if (y !== 2 * gap + 1) maze[y][wallX] = "#";
+        }
+        rooms.push(
+          { x: room.x, y: room.y, cols: split - room.x + 1, rows: room.rows },
+          {
+            x: split + 1,
+            y: room.y,
+            cols: room.x + room.cols - split - 1,
+            rows: room.rows,
+          }
+        );
+      }
+    }
+  }
+
+  return {
+    prim: { label: "Prim's", carve: carvePrim },
+    kruskal: { label: "Kruskal's", carve: carveKruskal },
+    wilson: { label: "Wilson's (uniform)", carve: carveWilson },
+    eller: { label: "Eller's", carve: carveEller },
+    "binary-tree": { label: "Binary tree", carve: carveBinaryTree },
+    "recursive-division": {
+      label: "Recursive division",
+      carve: carveRecursiveDivision,
+    },
+  };
+});
@@ -0,0 +1,175 @@
+/**
+ * Maze analysis
+ *
+ * Measures how hard a maze is to solve: the shortest route, the cells the
+ * start can't reach, dead ends, decision points (cells where the corridor
+ * splits), the branching factor at those points and how much of the maze
+ * lies off the shortest route. The measurements combine into a difficulty
+ * score and an easy / medium / hard label, used by the editor's analysis
+ * panel and by the maze manifest.
+ *
+ * In the browser, js/maze-solver.js must be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./maze-solver"));
+  } else {
+    root.MazeAnalysis = factory(root.MazeSolver);
+  }
+})(typeof self !== "undefined" ? self : this, function (MazeSolver) {
+  const DIRECTIONS = [
+    { dx: 0, dy: -1 }, // Up
+    { dx: 1, dy: 0 }, // Right
+    { dx: 0, dy: 1 }, // Down
+    { dx: -1, dy: 0 }, // Left
+  ];
+
+  // Highest score for each label, easiest first; anything above is "hard"
+  const DIFFICULTY_LEVELS = [
+    { label: "easy", maxScore: 40 },
+    { label: "medium", maxScore: 120 },
+  ];
+
+  // Whether (x, y) is inside the layout and not a wall
+  function isOpen(maze, x, y) {
+    return (
+      y >= 0 &&
+      y < maze.length &&
+      x >= 0 &&
+      x < maze[y].length &&
+      maze[y][x] !== "#"
+    );
+  }
+
+  // Number of open cells next to (x, y)
+  function countOpenNeighbors(maze, x, y) {
+    return DIRECTIONS.filter((dir) => isOpen(maze, x + dir.dx, y + dir.dy))
+      .length;
+  }
+
+  // Open cells connected to the start, ignoring doors and keys, keyed "x,y"
+  function findReachable(maze, start) {
+    const reached = new Set();
+    if (!isOpen(maze, start.x, start.y)) return reached;
+
+    reached.add(`${start.x},${start.y}`);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      for (const dir of DIRECTIONS) {
+        const x = queue[i].x + dir.dx;
+        const y = queue[i].y + dir.dy;
+        if (isOpen(maze, x, y) && !reached.has(`${x},${y}`)) {
+          reached.add(`${x},${y}`);
+          queue.push({ x, y });
+        }
+      }
+    }
+    return reached;
+  }
+
+  /**
+   * Difficulty score from a maze's measurements: one for every step of the
+   * shortest route, two for every dead end to walk into and back out of, and
+   * three for every decision point, each a chance to take a wrong turn.
+   * @param {Object} metrics - solutionLength, deadEnds and decisionPoints
+   * @returns {number} The score, or -1 when the maze can't be solved
+   */
+  function getDifficultyScore(metrics) {
+    if (metrics.solutionLength < 0) return -1;
+    return (
+      metrics.solutionLength +
+      2 * metrics.deadEnds +
+      3 * metrics.decisionPoints
+    );
+  }
+
+  /**
+   * Label for a difficulty score
+   * @param {number} score - From getDifficultyScore
+   * @returns {string} "easy", "medium" or "hard"
+   */
+  function getDifficultyLabel(score) {
+    const level = DIFFICULTY_LEVELS.find((entry) => score < entry.maxScore);
+    return level ? level.label : "hard";
+  }
+
+  /**
+   * Analyse a maze from its start
+   * @param {Array} maze - Layout with every exit marked 'E'
+   * @param {Object} start - Start cell { x, y }
+   * @param {Object} [options]
+   * @param {boolean} [options.collectAll=false] - The route must pass every
+   *   item
+   * @returns {Object} The measurements: solutionLength (-1 when unsolvable),
+   *   deadEnds, decisionPoints and branchingFactor (average ways on at a
+   *   decision point) over the reachable cells, offPathPercent of the
+   *   reachable cells the shortest route doesn't use, score and difficulty
+   *   (null when unsolvable);
+   *   and the cells to highlight as arrays of { x, y }: path, unreachable and
+   *   deadEndCells
+   */
+  function analyzeMaze(maze, start, options = {}) {
+    const path =
+      MazeSolver.findShortestPath(maze, start, null, {
+        collectAll: !!options.collectAll,
+      }) || [];
+    const onPath = new Set(path.map((cell) => `${cell.x},${cell.y}`));
+    const reached = findReachable(maze, start);
+
+    const unreachable = [];
+    const deadEndCells = [];
+    let decisionPoints = 0;
+    let waysOn = 0;
+
+    maze.forEach((row, y) =>
+      row.forEach((cell, x) => {
+        if (!isOpen(maze, x, y)) return;
+        if (!reached.has(`${x},${y}`)) {
+          unreachable.push({ x, y });
+          return;
+        }
+
+        const neighbors = countOpenNeighbors(maze, x, y);
+        const isStart = x === start.x && y === start.y;
+        if (neighbors === 1 && cell !== "E" && !isStart) {
+          deadEndCells.push({ x, y });
+        } else if (neighbors >= 3) {
+          decisionPoints++;
+          waysOn += neighbors - 1;
+        }
+      })
+    );
+
+    const offPath = Array.from(reached).filter((key) => !onPath.has(key));
+    const metrics = {
+      solutionLength: path.length - 1,
+      deadEnds: deadEndCells.length,
+      decisionPoints,
+      branchingFactor:
+        decisionPoints > 0
+          ? Math.round((waysOn / decisionPoints) * 100) / 100
+          : 1,
+      offPathPercent:
+        reached.size > 0
+          ? Math.round((offPath.length / reached.size) * 100)
+          : 0,
+    };
+    const score = getDifficultyScore(metrics);
+
+    return Object.assign(metrics, {
+      score,
+      difficulty: score < 0 ? null : getDifficultyLabel(score),
+      path,
+      unreachable,
+      deadEndCells,
+    });
+  }
+
+  return {
+    DIFFICULTY_LEVELS,
+    analyzeMaze,
+    getDifficultyScore,
+    getDifficultyLabel,
+  };
+});
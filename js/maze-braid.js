@@ -0,0 +1,277 @@
+/**
+ * Braiding and loop metrics
+ *
+ * Generated mazes are perfect: exactly one path between any two cells, with
+ * a dead end at the tip of every branch. Braiding knocks out walls to join
+ * dead ends back into the maze and to open extra loops, which turns a
+ * "Complex Maze"-style layout into a "Simple Maze"-style one.
+ *
+ * Works on any layout of '#', ' ' and 'E' cells; exit cells are never
+ * treated as dead ends to remove. Only walls between cells at odd
+ * coordinates are knocked out, and never one that would open a 2x2 room.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeBraid = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DIRECTIONS = [
+    { dx: 0, dy: -1 }, // Up
+    { dx: 1, dy: 0 }, // Right
+    { dx: 0, dy: 1 }, // Down
+    { dx: -1, dy: 0 }, // Left
+  ];
+
+  // Whether (x, y) is inside the layout and not a wall
+  function isOpen(maze, x, y) {
+    return (
+      y >= 0 &&
+      y < maze.length &&
+      x >= 0 &&
+      x < maze[y].length &&
+      maze[y][x] !== "#"
+    );
+  }
+
+  // Whether (x, y) is inside the boundary walls
+  function isInterior(maze, x, y) {
+    return y > 0 && y < maze.length - 1 && x > 0 && x < maze[y].length - 1;
+  }
+
+  // Whether (x, y) is a cell of the odd lattice the generators carve on
+  function isLatticeCell(x, y) {
+    return x % 2 === 1 && y % 2 === 1;
+  }
+
+  // Number of open cells next to (x, y)
+  function countOpenNeighbors(maze, x, y) {
+    return DIRECTIONS.filter((dir) => isOpen(maze, x + dir.dx, y + dir.dy))
+      .length;
+  }
+
+  // Whether (x, y) is an open, non-exit cell with a single way out
+  function isDeadEnd(maze, x, y) {
+    return (
+      isOpen(maze, x, y) &&
+      maze[y][x] !== "E" &&
+      countOpenNeighbors(maze, x, y) === 1
+    );
+  }
+
+  // List every dead end in the layout
+  function findDeadEnds(maze) {
+    const deadEnds = [];
+    for (let y = 0; y < maze.length; y++) {
+      for (let x = 0; x < maze[y].length; x++) {
+        if (isDeadEnd(maze, x, y)) {
+          deadEnds.push({ x, y });
+        }
+      }
+    }
+    return deadEnds;
+  }
+
+  // Number of independent loops in the open cells: edges - cells + connected
+  // regions (0 for a perfect maze)
+  function countLoops(maze) {
+    let cells = 0;
+    let edges = 0;
+    let regions = 0;
+    const seen = new Set();
+
+    for (let y = 0; y < maze.length; y++) {
+      for (let x = 0; x < maze[y].length; x++) {
+        if (!isOpen(maze, x, y)) continue;
+
+        cells++;
+        if (isOpen(maze, x + 1, y)) edges++;
+        if (isOpen(maze, x, y + 1)) edges++;
+
+        if (!seen.has(`${x},${y}`)) {
+          // Flood the region this cell belongs to
+          regions++;
+          const stack = [{ x, y }];
+          seen.add(`${x},${y}`);
+          while (stack.length > 0) {
+            const current = stack.pop();
+            for (const dir of DIRECTIONS) {
+              const nx = current.x + dir.dx;
+              const ny = current.y + dir.dy;
+              if (isOpen(maze, nx, ny) && !seen.has(`${nx},${ny}`)) {
+                seen.add(`${nx},${ny}`);
+                stack.push({ x: nx, y: ny });
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return edges - cells + regions;
+  }
+
+  // Dead-end and loop counts for a layout
+  function measureMaze(maze) {
+    return {
+      deadEnds: findDeadEnds(maze).length,
+      loops: countLoops(maze),
+    };
+  }
+
+  // Whether knocking out the wall at (x, y) would complete an open 2x2
+  // block. Depth-first mazes of even size can already have open cells off
+  // the lattice, so a wall between two lattice cells can still close a room.
+  function opensRoom(maze, x, y) {
+    const isOpenAfter = (cx, cy) =>
+      (cx === x && cy === y) || isOpen(maze, cx, cy);
+
+    for (let top = y - 1; top <= y; top++) {
+      for (let left = x - 1; left <= x; left++) {
+        if (
+          isOpenAfter(left, top) &&
+          isOpenAfter(left + 1, top) &&
+          isOpenAfter(left, top + 1) &&
+          isOpenAfter(left + 1, top + 1)
+        ) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Walls next to (x, y) that separate it from another open cell two steps
+  // away, i.e. the walls that can be knocked out to join it to the maze.
+  // Only lattice cells are joined: on even sizes the extra row and column
+  // are off the lattice, and opening walls there merges corridors into rooms.
+  function getJoinableWalls(maze, x, y) {
+    const walls = [];
+    if (!isLatticeCell(x, y)) return walls;
+
+    for (const dir of DIRECTIONS) {
+      const wallX = x + dir.dx;
+      const wallY = y + dir.dy;
+      if (
+        isInterior(maze, wallX, wallY) &&
+        maze[wallY][wallX] === "#" &&
+        isOpen(maze, x + 2 * dir.dx, y + 2 * dir.dy) &&
+        !opensRoom(maze, wallX, wallY)
+      ) {
+        walls.push({
+          x: wallX,
+          y: wallY,
+          beyondX: x + 2 * dir.dx,
+          beyondY: y + 2 * dir.dy,
+        });
+      }
+    }
+    return walls;
+  }
+
+  // Whether knocking out the wall at (x, y) joins two lattice cells in a
+  // straight line without opening up a wider room
+  function isLoopCandidate(maze, x, y) {
+    if (!isInterior(maze, x, y) || maze[y][x] !== "#") return false;
+
+    const horizontal =
+      isLatticeCell(x - 1, y) &&
+      isOpen(maze, x - 1, y) &&
+      isOpen(maze, x + 1, y) &&
+      !isOpen(maze, x, y - 1) &&
+      !isOpen(maze, x, y + 1);
+    const vertical =
+      isLatticeCell(x, y - 1) &&
+      isOpen(maze, x, y - 1) &&
+      isOpen(maze, x, y + 1) &&
+      !isOpen(maze, x - 1, y) &&
+      !isOpen(maze, x + 1, y);
+
+    return (horizontal || vertical) && !opensRoom(maze, x, y);
+  }
+
+  // Shuffle an array in place (Fisher-Yates)
+  function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * Remove dead ends and open loops in place.
+   *
+   * @param {Array} maze - Layout to modify
+   * @param {Object} [options]
+   * @param {number} [options.braid=0] - Fraction (0-1) of dead ends to remove
+   * @param {number} [options.loops=0] - Fraction (0-1) of the walls between
+   *   two corridors to knock out as extra loops
+   * @param {Function} [options.random=Math.random] - Random source
+   * @returns {Object} How many dead ends were removed and loops opened, and
+   *   the resulting deadEnds and loops counts
+   */
+  function braidMaze(maze, options = {}) {
+    const braid = Math.max(0, Math.min(options.braid || 0, 1));
+    const loops = Math.max(0, Math.min(options.loops || 0, 1));
+    const random = options.random || Math.random;
+
+    let removedDeadEnds = 0;
+    let openedLoops = 0;
+
+    // Join dead ends to a neighbouring corridor, preferring walls that also
+    // end another dead end so one opening removes two
+    const deadEnds = shuffle(findDeadEnds(maze), random);
+    const target = Math.round(deadEnds.length * braid);
+
+    for (const cell of deadEnds) {
+      if (removedDeadEnds >= target) break;
+      if (!isDeadEnd(maze, cell.x, cell.y)) continue;
+
+      const walls = shuffle(getJoinableWalls(maze, cell.x, cell.y), random);
+      if (walls.length === 0) continue;
+
+      const wall =
+        walls.find((w) => isDeadEnd(maze, w.beyondX, w.beyondY)) || walls[0];
+      const joinsTwo = isDeadEnd(maze, wall.beyondX, wall.beyondY);
+
+      maze[wall.y][wall.x] = " ";
+      removedDeadEnds += joinsTwo ? 2 : 1;
+    }
+
+    // Knock out a share of the remaining walls between parallel corridors
+    if (loops > 0) {
+      const candidates = [];
+      for (let y = 1; y < maze.length - 1; y++) {
+        for (let x = 1; x < maze[y].length - 1; x++) {
+          if (isLoopCandidate(maze, x, y)) {
+            candidates.push({ x, y });
+          }
+        }
+      }
+
+      const loopTarget = Math.round(candidates.length * loops);
+      for (const wall of shuffle(candidates, random)) {
+        if (openedLoops >= loopTarget) break;
+
+        // Earlier openings can turn a candidate into a room corner
+        if (!isLoopCandidate(maze, wall.x, wall.y)) continue;
+
+        maze[wall.y][wall.x] = " ";
+        openedLoops++;
+      }
+    }
+
+    return Object.assign({ removedDeadEnds, openedLoops }, measureMaze(maze));
+  }
+
+  return {
+    braidMaze,
+    measureMaze,
+    findDeadEnds,
+    countLoops,
+    isDeadEnd,
+  };
+});
@@ -0,0 +1,264 @@
+/**
+ * Game controls
+ *
+ * Which key does what in a game, the keys each action is bound to (arrow
+ * keys and WASD to start with, changed from the start screen and kept in a
+ * storage backend with the localStorage interface, like MazeScores), a short
+ * queue of moves pressed while the last one is still animating, and the
+ * swipe gestures used on touch screens.
+ *
+ * Actions that move the player are named after the engine's commands, so
+ * the game can hand them straight to GameEngine.apply(). In the browser,
+ * js/maze-engine.js must be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./maze-engine"));
+  } else {
+    root.MazeControls = factory(root.MazeEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (MazeEngine) {
+  const { COMMANDS } = MazeEngine;
+
+  const STORAGE_KEY = "mazeKeyBindings";
+  const FORMAT_VERSION = 1;
+
+  // Everything a key can do in a game, in the order the controls panel
+  // lists them
+  const ACTIONS = [
+    { id: COMMANDS.FORWARD, label: "Move forward" },
+    { id: COMMANDS.BACKWARD, label: "Move backward" },
+    { id: COMMANDS.TURN_LEFT, label: "Turn left" },
+    { id: COMMANDS.TURN_RIGHT, label: "Turn right" },
+    { id: COMMANDS.STRAFE_LEFT, label: "Step left" },
+    { id: COMMANDS.STRAFE_RIGHT, label: "Step right" },
+    { id: COMMANDS.TURN_AROUND, label: "Turn around" },
+    { id: COMMANDS.HINT, label: "Show a hint" },
+    { id: "map", label: "Change the map mode" },
+    { id: "zoom-in", label: "Zoom the map in" },
+    { id: "zoom-out", label: "Zoom the map out" },
+    { id: "zoom-fit", label: "Fit the map" },
+  ];
+
+  // Keys for each action until the player changes them
+  const DEFAULT_BINDINGS = {
+    [COMMANDS.FORWARD]: ["ArrowUp", "w"],
+    [COMMANDS.BACKWARD]: ["ArrowDown", "s"],
+    [COMMANDS.TURN_LEFT]: ["ArrowLeft", "a"],
+    [COMMANDS.TURN_RIGHT]: ["ArrowRight", "d"],
+    [COMMANDS.STRAFE_LEFT]: ["q"],
+    [COMMANDS.STRAFE_RIGHT]: ["e"],
+    [COMMANDS.TURN_AROUND]: ["x"],
+    [COMMANDS.HINT]: ["h"],
+    map: ["m"],
+    "zoom-in": ["+", "="],
+    "zoom-out": ["-", "_"],
+    "zoom-fit": ["0"],
+  };
+
+  // How arrow and other named keys are shown
+  const KEY_NAMES = {
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    " ": "Space",
+  };
+
+  // Letters match whether or not Shift or Caps Lock is on
+  function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  // A key as the controls panel shows it, e.g. "↑" or "W"
+  function formatKey(key) {
+    return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+  }
+
+  function copyBindings(bindings) {
+    const copy = {};
+    ACTIONS.forEach((action) => {
+      copy[action.id] = (bindings[action.id] || []).slice();
+    });
+    return copy;
+  }
+
+  class KeyBindings {
+    /**
+     * @param {Object} storage - localStorage-like backend
+     * @param {Object} [options]
+     * @param {string} [options.key="mazeKeyBindings"] - Storage item name
+     */
+    constructor(storage, options = {}) {
+      this.storage = storage;
+      this.key = options.key || STORAGE_KEY;
+      this.bindings = this.load();
+    }
+
+    // Saved bindings, with the default keys for any action they don't
+    // mention; the defaults when nothing usable is stored
+    load() {
+      let saved = null;
+      try {
+        saved = JSON.parse(this.storage.getItem(this.key));
+      } catch (error) {
+        saved = null;
+      }
+      if (
+        !saved ||
+        saved.version !== FORMAT_VERSION ||
+        typeof saved.bindings !== "object"
+      ) {
+        return copyBindings(DEFAULT_BINDINGS);
+      }
+
+      const bindings = {};
+      ACTIONS.forEach((action) => {
+        const keys = saved.bindings[action.id];
+        bindings[action.id] =
+          Array.isArray(keys) && keys.every((key) => typeof key === "string")
+            ? keys.slice()
+            : DEFAULT_BINDINGS[action.id].slice();
+      });
+      return bindings;
+    }
+
+    save() {
+      this.storage.setItem(
+        this.key,
+        JSON.stringify({ version: FORMAT_VERSION, bindings: this.bindings })
+      );
+    }
+
+    /**
+     * The action a key press asks for
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string|null} Action id, or null when the key isn't bound
+     */
+    getAction(key) {
+      const normalized = normalizeKey(key);
+      const action = ACTIONS.find((a) =>
+        this.bindings[a.id].includes(normalized)
+      );
+      return action ? action.id : null;
+    }
+
+    // Keys bound to an action
+    getKeys(action) {
+      this.checkAction(action);
+      return this.bindings[action].slice();
+    }
+
+    // An action's keys as the player would read them, e.g. "↑/W", or
+    // null when it has none
+    describe(action) {
+      const keys = this.getKeys(action);
+      return keys.length > 0 ? keys.map(formatKey).join("/") : null;
+    }
+
+    /**
+     * Add a key to an action, taking it from any action it was bound to
+     * @param {string} action - Action id from ACTIONS
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string|null} The action that lost the key, if any
+     */
+    bind(action, key) {
+      this.checkAction(action);
+      const normalized = normalizeKey(key);
+      const previous = this.getAction(normalized);
+      if (previous === action) return null;
+      if (previous) this.unbind(previous, normalized);
+
+      this.bindings[action].push(normalized);
+      this.save();
+      return previous;
+    }
+
+    // Remove one key from an action, or every key when none is given
+    unbind(action, key) {
+      this.checkAction(action);
+      this.bindings[action] =
+        key === undefined
+          ? []
+          : this.bindings[action].filter((k) => k !== normalizeKey(key));
+      this.save();
+    }
+
+    // Back to the default keys for every action
+    reset() {
+      this.bindings = copyBindings(DEFAULT_BINDINGS);
+      this.storage.removeItem(this.key);
+    }
+
+    checkAction(action) {
+      if (!ACTIONS.some((a) => a.id === action)) {
+        throw new Error(`Unknown action: ${action}`);
+      }
+    }
+  }
+
+  // Moves pressed while the last one is animating, played in order once it
+  // finishes. It only holds a few so the player stops soon after letting go.
+  class InputQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size=3] - Most commands kept waiting
+     */
+    constructor(options = {}) {
+      this.size = options.size || 3;
+      this.commands = [];
+    }
+
+    get length() {
+      return this.commands.length;
+    }
+
+    /**
+     * Wait a command behind the others
+     * @returns {boolean} false when the queue was full and it was dropped
+     */
+    push(command) {
+      if (this.commands.length >= this.size) return false;
+      this.commands.push(command);
+      return true;
+    }
+
+    // The next command to play, or null when none are waiting
+    shift() {
+      return this.commands.length > 0 ? this.commands.shift() : null;
+    }
+
+    clear() {
+      this.commands = [];
+    }
+  }
+
+  /**
+   * The command a swipe across the view stands for: up to walk forward,
+   * down to step back, left or right to turn that way
+   * @param {number} dx - Horizontal distance the finger moved, in pixels
+   * @param {number} dy - Vertical distance, positive downwards
+   * @param {Object} [options]
+   * @param {number} [options.minDistance=30] - Shorter swipes count as taps
+   * @returns {string|null} One of MazeEngine.COMMANDS, or null
+   */
+  function getSwipeCommand(dx, dy, options = {}) {
+    const minDistance = options.minDistance || 30;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < minDistance) return null;
+
+    if (Math.abs(dy) >= Math.abs(dx)) {
+      return dy < 0 ? COMMANDS.FORWARD : COMMANDS.BACKWARD;
+    }
+    return dx < 0 ? COMMANDS.TURN_LEFT : COMMANDS.TURN_RIGHT;
+  }
+
+  return {
+    ACTIONS,
+    DEFAULT_BINDINGS,
+    KeyBindings,
+    InputQueue,
+    getSwipeCommand,
+    formatKey,
+  };
+});
@@ -0,0 +1,631 @@
+/**
+ * Game engine
+ *
+ * The rules of the game without a screen: loads a maze file or builds a
+ * random maze from its seed, applies the player's commands (step forward,
+ * back or sideways, turn left, right or round, ask for a hint), answers
+ * questions about the cells around the player and reports what happens
+ * through events: moves, bumps into walls and locked doors, turns, hints,
+ * keys and items picked up, exits that won't open yet and reaching an open
+ * exit.
+ *
+ * The game page draws the engine's state and turns key presses into
+ * commands; Node scripts and tests can drive it directly. In the browser,
+ * js/maze-format.js, js/maze-generator.js, js/maze-solver.js,
+ * js/maze-schema.js, js/maze-session.js and js/maze-explore.js must be loaded
+ * first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./maze-format"),
+      require("./maze-generator"),
+      require("./maze-solver"),
+      require("./maze-schema"),
+      require("./maze-session"),
+      require("./maze-explore")
+    );
+  } else {
+    root.MazeEngine = factory(
+      root.MazeFormat,
+      root.MazeGenerator,
+      root.MazeSolver,
+      root.MazeSchema,
+      root.MazeSession,
+      root.MazeExplore
+    );
+  }
+})(typeof self !== "undefined" ? self : this, function (
+  MazeFormat,
+  MazeGenerator,
+  MazeSolver,
+  MazeSchema,
+  MazeSession,
+  MazeExplore
+) {
+  const { CELLS } = MazeFormat;
+
+  // Direction vectors: 0 = North, 1 = East, 2 = South, 3 = West
+  const DX = [0, 1, 0, -1];
+  const DY = [-1, 0, 1, 0];
+  const DIRECTION_NAMES = ["North", "East", "South", "West"];
+
+  // Everything a player can ask the engine to do
+  const COMMANDS = {
+    FORWARD: "forward",
+    BACKWARD: "backward",
+    TURN_LEFT: "turn-left",
+    TURN_RIGHT: "turn-right",
+    STRAFE_LEFT: "strafe-left",
+    STRAFE_RIGHT: "strafe-right",
+    TURN_AROUND: "turn-around",
+    HINT: "hint",
+  };
+
+  // Cells of the route a hint shows ahead of the player
+  const HINT_LENGTH = 5;
+
+  // Which way a route bends, by quarter turns from the way it was heading
+  const TURN_NAMES = [null, "right", "around", "left"];
+
+  // Facing after turning a quarter from `direction` (-1 left, 1 right)
+  function turn(direction, quarters) {
+    return (direction + quarters + 4) % 4;
+  }
+
+  class GameEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.mazeData] - Maze file to play; without it a
+     *   random maze is generated from the settings below
+     * @param {string} [options.file] - Path of the maze file, for scores
+     * @param {number} [options.width=20] - Random maze width
+     * @param {number} [options.height=20] - Random maze height
+     * @param {number|string} [options.seed] - Random maze seed; a new one is
+     *   picked when missing
+     * @param {string} [options.algorithm] - Generator algorithm id
+     * @param {number} [options.braid=0] - Fraction of dead ends to remove
+     * @param {number} [options.loops=0] - Fraction of walls to open into loops
+     * @param {Object} [options.resume] - Saved run from getSaveState() to
+     *   carry on from
+     * @param {number} [options.viewDepth=6] - How many cells ahead the player
+     *   can see, for the explored map
+     * @param {number} [options.hintBudget] - Hints allowed for the run;
+     *   MazeSession.HINT_BUDGET by default
+     * @param {number} [options.hintLength=5] - Cells of the route each hint
+     *   shows
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     */
+    constructor(options = {}) {
+      this.isCustomMaze = !!options.mazeData;
+      this.file = options.file;
+
+      if (this.isCustomMaze) {
+        const mazeData = options.mazeData;
+        this.width = mazeData.width;
+        this.height = mazeData.height;
+        // Copy the layout, with every exit marked, so replays start from the
+        // original file
+        this.maze = MazeFormat.prepareLayout(mazeData);
+        this.player = {
+          x: mazeData.playerStart.x,
+          y: mazeData.playerStart.y,
+          direction: mazeData.playerStart.direction,
+        };
+        // Exit positions, and whether they stay shut until every item has
+        // been collected
+        this.exits = MazeFormat.getExits(mazeData);
+        this.collectAll = !!mazeData.collectAll;
+        this.name = mazeData.name || "Custom Maze";
+      } else {
+        // Generate from a seed so the layout can be replayed
+        this.width = options.width || 20;
+        this.height = options.height || 20;
+        this.seed =
+          options.seed !== undefined
+            ? MazeGenerator.normalizeSeed(options.seed)
+            : MazeGenerator.createSeed();
+        this.algorithm = options.algorithm || MazeGenerator.DEFAULT_ALGORITHM;
+        this.braid = options.braid || 0;
+        this.loops = options.loops || 0;
+        this.maze = MazeGenerator.generateMaze(this.width, this.height, {
+          seed: this.seed,
+          algorithm: this.algorithm,
+          braid: this.braid,
+          loops: this.loops,
+        });
+        this.player = { x: 1, y: 1, direction: 0 };
+        this.exits = [{ x: this.width - 2, y: this.height - 2 }];
+        this.collectAll = false;
+        this.name = `Random Maze ${this.seed} (${this.width}×${this.height})`;
+      }
+
+      // Where the run began, for the shortest route and for saving
+      this.playerStart = Object.assign({}, this.player);
+
+      // Pick up an unfinished run where it was saved
+      const resume = options.resume;
+      if (resume) {
+        this.maze = MazeFormat.decodeLayout(resume.mazeData.layout);
+        this.player = Object.assign({}, resume.player);
+      }
+
+      // The layout before anything was picked up, for saving
+      this.startLayout = this.maze.map((row) => row.slice());
+
+      this.listeners = {};
+
+      // Keys and items picked up so far; one key opens every door
+      this.hasKey = false;
+      this.itemsCollected = 0;
+      this.totalItems = MazeFormat.countCells(this.maze, CELLS.ITEM);
+      this.pickedUp = [];
+      if (resume && resume.pickedUp) {
+        resume.pickedUp.forEach(([x, y]) => this.pickUp(x, y));
+      }
+      this.pickUp(this.player.x, this.player.y);
+
+      // Cells the player has stood on
+      this.visited = new Set(
+        resume ? resume.visited.map(([x, y]) => `${x},${y}`) : []
+      );
+      this.visited.add(`${this.player.x},${this.player.y}`);
+
+      // Route walked, in order, for the breadcrumb trail
+      this.trail =
+        resume && resume.trail
+          ? resume.trail.map(([x, y]) => ({ x, y }))
+          : [{ x: this.player.x, y: this.player.y }];
+
+      // Cells seen so far
+      this.viewDepth = options.viewDepth || 6;
+      this.explored = new Set(
+        resume
+          ? (resume.explored || resume.visited).map(([x, y]) => `${x},${y}`)
+          : []
+      );
+      this.revealVisibleCells();
+
+      // Session statistics, compared against the shortest route at the end
+      this.session = new MazeSession.GameSession({
+        optimalLength: MazeSolver.getSolutionLength(
+          this.startLayout,
+          this.playerStart,
+          null,
+          { collectAll: this.collectAll }
+        ),
+        hintBudget: options.hintBudget,
+        now: options.now,
+        resume: resume && resume.stats,
+      });
+      this.isComplete = false;
+
+      // The route the last hint showed, until the player walks it or leaves
+      // it
+      this.hintLength = options.hintLength || HINT_LENGTH;
+      this.hint = null;
+    }
+
+    /**
+     * Call `listener` with the event object each time an event of `type`
+     * happens: "move", "bump", "turn", "hint", "no-hint", "pickup",
+     * "exit-locked" or "win"
+     */
+    on(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    // Stop calling a listener added with on()
+    off(type, listener) {
+      const listeners = this.listeners[type] || [];
+      const index = listeners.indexOf(listener);
+      if (index >= 0) listeners.splice(index, 1);
+    }
+
+    // Tell the listeners for event.type, then add the event to `events`
+    emit(event, events) {
+      (this.listeners[event.type] || []).slice().forEach((listener) =>
+        listener(event)
+      );
+      events.push(event);
+    }
+
+    /**
+     * Carry out one command
+     * @param {string} command - One of COMMANDS
+     * @returns {Array<Object>} The events it caused, in order; empty once the
+     *   maze is complete
+     */
+    apply(command) {
+      const events = [];
+      if (this.isComplete) return events;
+
+      switch (command) {
+        case COMMANDS.FORWARD:
+          this.tryMove(command, this.player.direction, events);
+          break;
+        case COMMANDS.BACKWARD:
+          this.tryMove(command, turn(this.player.direction, 2), events);
+          break;
+        case COMMANDS.TURN_LEFT:
+          this.turnTo(command, turn(this.player.direction, -1), events);
+          break;
+        case COMMANDS.TURN_RIGHT:
+          this.turnTo(command, turn(this.player.direction, 1), events);
+          break;
+        case COMMANDS.STRAFE_LEFT:
+          this.tryMove(command, turn(this.player.direction, -1), events);
+          break;
+        case COMMANDS.STRAFE_RIGHT:
+          this.tryMove(command, turn(this.player.direction, 1), events);
+          break;
+        case COMMANDS.TURN_AROUND:
+          this.turnTo(command, turn(this.player.direction, 2), events);
+          break;
+        case COMMANDS.HINT:
+          this.giveHint(command, events);
+          break;
+        default:
+          throw new Error(`Unknown command: ${command}`);
+      }
+      return events;
+    }
+
+    moveForward() {
+      return this.apply(COMMANDS.FORWARD);
+    }
+
+    moveBackward() {
+      return this.apply(COMMANDS.BACKWARD);
+    }
+
+    turnLeft() {
+      return this.apply(COMMANDS.TURN_LEFT);
+    }
+
+    turnRight() {
+      return this.apply(COMMANDS.TURN_RIGHT);
+    }
+
+    strafeLeft() {
+      return this.apply(COMMANDS.STRAFE_LEFT);
+    }
+
+    strafeRight() {
+      return this.apply(COMMANDS.STRAFE_RIGHT);
+    }
+
+    turnAround() {
+      return this.apply(COMMANDS.TURN_AROUND);
+    }
+
+    requestHint() {
+      return this.apply(COMMANDS.HINT);
+    }
+
+    // Step one cell in the given direction, still facing the same way,
+    // unless a wall is in the way
+    tryMove(command, direction, events) {
+      const from = { x: this.player.x, y: this.player.y };
+      const to = { x: from.x + DX[direction], y: from.y + DY[direction] };
+
+      if (this.checkWall(to.x, to.y)) {
+        this.session.recordBump();
+        this.emit(
+          {
+            type: "bump",
+            command,
+            x: to.x,
+            y: to.y,
+            lockedDoor: this.isLockedDoor(to.x, to.y),
+          },
+          events
+        );
+        return;
+      }
+
+      this.player.x = to.x;
+      this.player.y = to.y;
+      this.visited.add(`${to.x},${to.y}`);
+      this.trail.push({ x: to.x, y: to.y });
+      this.revealVisibleCells();
+      this.followHint(to.x, to.y);
+      this.session.recordMove();
+      this.emit({ type: "move", command, from, to, direction }, events);
+
+      const cell = this.pickUp(to.x, to.y);
+      if (cell) {
+        this.emit(
+          {
+            type: "pickup",
+            x: to.x,
+            y: to.y,
+            cell,
+            itemsCollected: this.itemsCollected,
+            totalItems: this.totalItems,
+            exitsOpen: this.areExitsOpen(),
+          },
+          events
+        );
+      }
+
+      // Reaching an open exit ends the run, whichever way we stepped
+      if (this.isExit(to.x, to.y)) {
+        if (this.areExitsOpen()) {
+          this.isComplete = true;
+          this.session.complete();
+          this.emit(
+            { type: "win", x: to.x, y: to.y, stats: this.session.getStats() },
+            events
+          );
+        } else {
+          this.emit(
+            {
+              type: "exit-locked",
+              x: to.x,
+              y: to.y,
+              itemsCollected: this.itemsCollected,
+              totalItems: this.totalItems,
+            },
+            events
+          );
+        }
+      }
+    }
+
+    // Face a new direction on the spot
+    turnTo(command, direction, events) {
+      const from = this.player.direction;
+      this.player.direction = direction;
+      this.revealVisibleCells();
+      this.session.recordTurn();
+      this.emit({ type: "turn", command, from, to: direction }, events);
+    }
+
+    // Show the next few cells of the shortest route from where the player
+    // stands, if the run has hints left and an exit can still be reached
+    giveHint(command, events) {
+      const route =
+        this.session.getHintsLeft() > 0 ? this.getRouteToExit() : null;
+      if (!route || !this.session.recordHint()) {
+        this.emit(
+          {
+            type: "no-hint",
+            command,
+            reason: this.session.getHintsLeft() > 0 ? "no-route" : "used-up",
+            hintsLeft: this.session.getHintsLeft(),
+          },
+          events
+        );
+        return;
+      }
+
+      this.hint = Object.assign(
+        { cells: route.slice(1, 1 + this.hintLength) },
+        this.describeRoute(route)
+      );
+      this.emit(
+        {
+          type: "hint",
+          command,
+          cells: this.hint.cells.slice(),
+          ahead: this.hint.ahead,
+          turn: this.hint.turn,
+          hintsLeft: this.session.getHintsLeft(),
+        },
+        events
+      );
+    }
+
+    /**
+     * The next turn on a route, relative to the way the player faces
+     * @param {Array<Object>} route - Cells from the player's onwards
+     * @returns {Object} { ahead, turn }: cells to walk straight on first,
+     *   then "left", "right" or "around", or a null turn when the route ends
+     *   straight ahead
+     */
+    describeRoute(route) {
+      const headings = route.slice(1).map((cell, i) =>
+        DX.findIndex(
+          (dx, d) => route[i].x + dx === cell.x && route[i].y + DY[d] === cell.y
+        )
+      );
+      let ahead = 0;
+      let facing = this.player.direction;
+      while (ahead < headings.length && headings[ahead] === facing) ahead++;
+      if (ahead > 0) facing = headings[ahead - 1];
+
+      return {
+        ahead,
+        turn:
+          ahead < headings.length
+            ? TURN_NAMES[(headings[ahead] - facing + 4) % 4]
+            : null,
+      };
+    }
+
+    // Shorten the hinted route as the player walks it, and drop it once
+    // they step off it or reach its end
+    followHint(x, y) {
+      if (!this.hint) return;
+      const index = this.hint.cells.findIndex(
+        (cell) => cell.x === x && cell.y === y
+      );
+      this.hint.cells = index >= 0 ? this.hint.cells.slice(index + 1) : [];
+      if (this.hint.cells.length === 0) this.hint = null;
+    }
+
+    /**
+     * Shortest route from the player to an open exit, past the key and
+     * items still needed
+     * @returns {Array<Object>|null} Cells from the player's to the exit
+     *   inclusive, or null when no exit can be reached
+     */
+    getRouteToExit() {
+      // Doors the player can already open are just floor to the solver
+      const layout = this.maze.map((row) =>
+        row.map((cell) =>
+          cell === CELLS.DOOR && this.hasKey ? CELLS.FLOOR : cell
+        )
+      );
+      return MazeSolver.findShortestPath(layout, this.player, null, {
+        collectAll: this.collectAll,
+      });
+    }
+
+    /**
+     * Pick up a key or item lying at (x, y)
+     * @returns {string|null} The cell picked up, or null when there was
+     *   nothing there
+     */
+    pickUp(x, y) {
+      const cell = this.maze[y][x];
+      if (cell !== CELLS.KEY && cell !== CELLS.ITEM) return null;
+
+      this.maze[y][x] = CELLS.FLOOR;
+      this.pickedUp.push({ x, y });
+
+      if (cell === CELLS.KEY) {
+        this.hasKey = true;
+      } else {
+        this.itemsCollected++;
+      }
+      return cell;
+    }
+
+    // Exits are always open unless the maze asks for every item first
+    areExitsOpen() {
+      return !this.collectAll || this.itemsCollected >= this.totalItems;
+    }
+
+    // Remember every cell visible from where the player now stands
+    revealVisibleCells() {
+      MazeExplore.getVisibleCells(
+        this.maze,
+        this.player.x,
+        this.player.y,
+        this.player.direction,
+        this.viewDepth
+      ).forEach((cell) => this.explored.add(`${cell.x},${cell.y}`));
+    }
+
+    // Whether the player can't walk into (x, y)
+    checkWall(x, y) {
+      if (!this.isInBounds(x, y)) return true;
+      return this.maze[y][x] === CELLS.WALL || this.isLockedDoor(x, y);
+    }
+
+    // Doors block the way like walls until a key has been picked up
+    isLockedDoor(x, y) {
+      return (
+        this.isInBounds(x, y) && this.maze[y][x] === CELLS.DOOR && !this.hasKey
+      );
+    }
+
+    isExit(x, y) {
+      return this.isInBounds(x, y) && this.maze[y][x] === CELLS.EXIT;
+    }
+
+    isInBounds(x, y) {
+      return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * The ways out of a cell
+     * @param {number} [x] - Cell, the player's by default
+     * @param {number} [y]
+     * @returns {Array<Object>} { direction, name, isExit } for each open
+     *   neighbour, North first
+     */
+    getAvailablePaths(x = this.player.x, y = this.player.y) {
+      const paths = [];
+      for (let direction = 0; direction < 4; direction++) {
+        const nx = x + DX[direction];
+        const ny = y + DY[direction];
+        if (!this.checkWall(nx, ny)) {
+          paths.push({
+            direction,
+            name: DIRECTION_NAMES[direction],
+            isExit: this.isExit(nx, ny),
+          });
+        }
+      }
+      return paths;
+    }
+
+    /**
+     * The cells next to the player, relative to the way they face
+     * @returns {Object} ahead, right, behind and left, each
+     *   { x, y, wall, exit, lockedDoor }
+     */
+    getSurroundings() {
+      const cellAt = (quarters) => {
+        const direction = turn(this.player.direction, quarters);
+        const x = this.player.x + DX[direction];
+        const y = this.player.y + DY[direction];
+        return {
+          x,
+          y,
+          wall: this.checkWall(x, y),
+          exit: this.isExit(x, y),
+          lockedDoor: this.isLockedDoor(x, y),
+        };
+      };
+      return {
+        ahead: cellAt(0),
+        right: cellAt(1),
+        behind: cellAt(2),
+        left: cellAt(3),
+      };
+    }
+
+    // What a score or save is recorded against: the maze file, or the seed
+    // and settings of a random maze
+    getSource() {
+      return this.isCustomMaze
+        ? { file: this.file }
+        : {
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            algorithm: this.algorithm,
+            braid: this.braid,
+            loops: this.loops,
+          };
+    }
+
+    // Everything needed to pick this run up again later
+    getSaveState() {
+      return {
+        name: this.name,
+        mazeData: {
+          version: MazeSchema.CURRENT_VERSION,
+          name: this.name,
+          width: this.width,
+          height: this.height,
+          playerStart: this.playerStart,
+          exit: MazeFormat.formatExits(this.exits),
+          collectAll: this.collectAll,
+          layout: this.startLayout,
+        },
+        source: this.getSource(),
+        player: Object.assign({}, this.player),
+        pickedUp: this.pickedUp.map((cell) => [cell.x, cell.y]),
+        visited: Array.from(this.visited, (key) => key.split(",").map(Number)),
+        explored: Array.from(this.explored, (key) =>
+          key.split(",").map(Number)
+        ),
+        trail: this.trail.map((cell) => [cell.x, cell.y]),
+        stats: this.session.toJSON(),
+      };
+    }
+  }
+
+  return {
+    COMMANDS,
+    DIRECTION_NAMES,
+    HINT_LENGTH,
+    GameEngine,
+  };
+});
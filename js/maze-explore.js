@@ -0,0 +1,96 @@
+/**
+ * Exploration and map modes
+ *
+ * Works out which cells the player can see from where they stand: the cells
+ * around them and, like the first-person view, the corridor ahead up to the
+ * view depth along with the side walls and openings beside it. The game
+ * remembers every cell seen so the minimap can hide the rest of the maze.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeExplore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Direction vectors: 0 = North, 1 = East, 2 = South, 3 = West
+  const DX = [0, 1, 0, -1];
+  const DY = [-1, 0, 1, 0];
+
+  // How much of the maze the minimap shows
+  const MAP_MODES = [
+    { id: "full", label: "Full map" },
+    { id: "explored", label: "Explored only" },
+    { id: "none", label: "No map" },
+  ];
+
+  const DEFAULT_MAP_MODE = "full";
+
+  // Map mode after the given one, wrapping around
+  function getNextMapMode(mode) {
+    const index = MAP_MODES.findIndex((m) => m.id === mode);
+    return MAP_MODES[(index + 1) % MAP_MODES.length].id;
+  }
+
+  /**
+   * List the cells visible from a position
+   *
+   * @param {Array} maze - Layout
+   * @param {number} x - Player cell
+   * @param {number} y
+   * @param {number} direction - Facing, 0-3
+   * @param {number} depth - How many cells ahead can be seen
+   * @returns {Array<Object>} { x, y } cells inside the layout, walls included
+   */
+  function getVisibleCells(maze, x, y, direction, depth) {
+    const cells = [];
+    const seen = new Set();
+
+    const add = (cx, cy) => {
+      const key = `${cx},${cy}`;
+      if (
+        cy >= 0 &&
+        cy < maze.length &&
+        cx >= 0 &&
+        cx < maze[cy].length &&
+        !seen.has(key)
+      ) {
+        seen.add(key);
+        cells.push({ x: cx, y: cy });
+      }
+    };
+
+    // Everything immediately around the player
+    for (let oy = -1; oy <= 1; oy++) {
+      for (let ox = -1; ox <= 1; ox++) {
+        add(x + ox, y + oy);
+      }
+    }
+
+    // Down the corridor ahead until a wall blocks the view
+    const left = (direction + 3) % 4;
+    const right = (direction + 1) % 4;
+    for (let step = 1; step <= depth; step++) {
+      const cx = x + DX[direction] * step;
+      const cy = y + DY[direction] * step;
+      add(cx, cy);
+
+      if (!maze[cy] || maze[cy][cx] === undefined || maze[cy][cx] === "#") {
+        break;
+      }
+
+      add(cx + DX[left], cy + DY[left]);
+      add(cx + DX[right], cy + DY[right]);
+    }
+
+    return cells;
+  }
+
+  return {
+    MAP_MODES,
+    DEFAULT_MAP_MODE,
+    getNextMapMode,
+    getVisibleCells,
+  };
+});
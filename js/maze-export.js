@@ -0,0 +1,345 @@
+/**
+ * Maze import and export
+ *
+ * Converts mazes to and from plain ASCII art, one character per cell:
+ *
+ *   #######
+ *   #S  #E#
+ *   # # # #
+ *   #   K #
+ *   #######
+ *
+ * with 'S' marking the start and the usual maze file cells ('#', ' ', 'E',
+ * 'K', 'D', 'C') for the rest. The art can also be drawn as shapes, rendered
+ * to an SVG document or onto any canvas 2D context (e.g. for a PNG), for
+ * sharing and printing.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./maze-format"),
+      require("./maze-schema")
+    );
+  } else {
+    root.MazeExport = factory(root.MazeFormat, root.MazeSchema);
+  }
+})(typeof self !== "undefined" ? self : this, function (
+  MazeFormat,
+  MazeSchema
+) {
+  const { CELLS } = MazeFormat;
+
+  // The start is only marked in ASCII art; maze files store it separately
+  const START = "S";
+
+  // Directions to face from the start, in order of preference: the first
+  // one with an open cell ahead wins (1 = East, as the editor defaults to)
+  const START_DIRECTIONS = [1, 2, 3, 0];
+  const STEPS = [
+    [0, -1],
+    [1, 0],
+    [0, 1],
+    [-1, 0],
+  ];
+
+  // Print-friendly colours for rendered mazes
+  const DEFAULT_COLORS = {
+    [CELLS.WALL]: "#000000",
+    [CELLS.FLOOR]: "#ffffff",
+    [CELLS.EXIT]: "#4caf50",
+    [CELLS.KEY]: "#ffc107",
+    [CELLS.DOOR]: "#a0522d",
+    [CELLS.ITEM]: "#00bcd4",
+    [START]: "#2196f3",
+    text: "#000000",
+  };
+
+  const DEFAULT_CELL_SIZE = 20;
+
+  /**
+   * Read a maze from ASCII art
+   * @param {string} text - The art; blank lines around it and ``` code
+   *   fences (as pasted from chat) are ignored, and short rows are padded
+   *   with floor
+   * @param {Object} [options]
+   * @param {string} [options.name="Imported Maze"] - Name for the maze
+   * @returns {Object} Maze file data in the current version
+   * @throws {Error} For an unknown character, or a missing or repeated start,
+   *   or no exit, naming the line and column where it can
+   */
+  function parseAscii(text, options = {}) {
+    const lines = String(text)
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .filter((line) => !line.trim().startsWith("```"));
+    while (lines.length > 0 && lines[0].trim() === "") lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+      lines.pop();
+    }
+    if (lines.length === 0) throw new Error("No maze found in the text");
+
+    const width = Math.max(...lines.map((line) => line.length));
+    let start = null;
+    const exits = [];
+
+    const layout = lines.map((line, y) => {
+      const row = line.padEnd(width, CELLS.FLOOR).split("");
+      row.forEach((cell, x) => {
+        if (cell === START) {
+          if (start) {
+            throw new Error(
+              `Line ${y + 1}, column ${x + 1}: a second start (S); ` +
+                `the first is on line ${start.y + 1}`
+            );
+          }
+          start = { x, y };
+          row[x] = CELLS.FLOOR;
+        } else if (cell === CELLS.EXIT) {
+          exits.push({ x, y });
+        } else if (!MazeFormat.VALID_CELLS.includes(cell)) {
+          throw new Error(
+            `Line ${y + 1}, column ${x + 1}: unknown character "${cell}" ` +
+              `(use #, space, S, E, K, D or C)`
+          );
+        }
+      });
+      return row;
+    });
+
+    if (!start) throw new Error("Mark the start with an S");
+    if (exits.length === 0) throw new Error("Mark at least one exit with an E");
+
+    const isOpen = (x, y) =>
+      layout[y] !== undefined &&
+      layout[y][x] !== undefined &&
+      layout[y][x] !== CELLS.WALL;
+    const direction = START_DIRECTIONS.find((d) =>
+      isOpen(start.x + STEPS[d][0], start.y + STEPS[d][1])
+    );
+
+    return {
+      version: MazeSchema.CURRENT_VERSION,
+      name: options.name || "Imported Maze",
+      width,
+      height: layout.length,
+      playerStart: {
+        x: start.x,
+        y: start.y,
+        direction: direction === undefined ? START_DIRECTIONS[0] : direction,
+      },
+      exit: MazeFormat.formatExits(exits),
+      layout: MazeFormat.encodeLayout(layout),
+    };
+  }
+
+  /**
+   * Draw a maze as ASCII art
+   * @param {Object} mazeData - Maze file data
+   * @returns {string} One line per row, ending with a newline; the start is
+   *   drawn as 'S' over whatever cell it is on
+   */
+  function formatAscii(mazeData) {
+    const layout = MazeFormat.prepareLayout(mazeData);
+    const { x, y } = mazeData.playerStart;
+    if (layout[y] && layout[y][x] !== undefined) layout[y][x] = START;
+    return layout.map((row) => row.join("")).join("\n") + "\n";
+  }
+
+  // Corners of the start arrow, pointing North and turned a quarter
+  // clockwise per direction step
+  function arrowPoints(centerX, centerY, size, direction) {
+    let points = [
+      [0, -size],
+      [-size * 0.5, size * 0.5],
+      [size * 0.5, size * 0.5],
+    ];
+    for (let i = 0; i < direction; i++) {
+      points = points.map(([x, y]) => [-y, x]);
+    }
+    return points.map(([x, y]) => [centerX + x, centerY + y]);
+  }
+
+  /**
+   * Shapes that draw a maze, shared by the SVG and canvas renderers
+   * @param {Object} mazeData - Maze file data
+   * @param {Object} [options]
+   * @param {number} [options.cellSize=20] - Size of a cell in pixels
+   * @param {Object} [options.colors] - Colours by cell character, 'S' for the
+   *   start and 'text' for letters, over DEFAULT_COLORS
+   * @returns {Object} { width, height, shapes } in pixels; each shape is a
+   *   rect ({ x, y, width, height, fill }), a polygon ({ points, fill }) or
+   *   a letter ({ x, y, size, text, fill }, centred on x, y)
+   */
+  function getShapes(mazeData, options = {}) {
+    const cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+    const colors = Object.assign({}, DEFAULT_COLORS, options.colors);
+    const layout = MazeFormat.prepareLayout(mazeData);
+    const width = mazeData.width * cellSize;
+    const height = mazeData.height * cellSize;
+
+    const shapes = [
+      { type: "rect", x: 0, y: 0, width, height, fill: colors[CELLS.FLOOR] },
+    ];
+
+    layout.forEach((row, y) => {
+      for (let x = 0; x < row.length; ) {
+        const cell = row[x];
+
+        // Runs of wall are one rect to keep SVG files small
+        if (cell === CELLS.WALL) {
+          let end = x;
+          while (row[end] === CELLS.WALL) end++;
+          shapes.push({
+            type: "rect",
+            x: x * cellSize,
+            y: y * cellSize,
+            width: (end - x) * cellSize,
+            height: cellSize,
+            fill: colors[CELLS.WALL],
+          });
+          x = end;
+          continue;
+        }
+
+        // Objects are drawn with their letter so they survive greyscale
+        if (cell !== CELLS.FLOOR) {
+          shapes.push({
+            type: "rect",
+            x: x * cellSize,
+            y: y * cellSize,
+            width: cellSize,
+            height: cellSize,
+            fill: colors[cell],
+          });
+          shapes.push({
+            type: "text",
+            x: (x + 0.5) * cellSize,
+            y: (y + 0.5) * cellSize,
+            size: cellSize * 0.7,
+            text: cell,
+            fill: colors.text,
+          });
+        }
+        x++;
+      }
+    });
+
+    const { x, y, direction } = mazeData.playerStart;
+    shapes.push({
+      type: "rect",
+      x: x * cellSize,
+      y: y * cellSize,
+      width: cellSize,
+      height: cellSize,
+      fill: colors[START],
+    });
+    shapes.push({
+      type: "polygon",
+      points: arrowPoints(
+        (x + 0.5) * cellSize,
+        (y + 0.5) * cellSize,
+        cellSize * 0.4,
+        direction
+      ),
+      fill: colors.text,
+    });
+
+    return { width, height, shapes };
+  }
+
+  // Text safe to put in SVG markup
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Coordinates rounded so files don't fill up with float noise
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Render a maze as an SVG document
+   * @param {Object} mazeData - Maze file data
+   * @param {Object} [options] - As for getShapes
+   * @returns {string} The SVG markup
+   */
+  function renderSvg(mazeData, options = {}) {
+    const { width, height, shapes } = getShapes(mazeData, options);
+    const elements = shapes.map((shape) => {
+      if (shape.type === "rect") {
+        return (
+          `<rect x="${round(shape.x)}" y="${round(shape.y)}" ` +
+          `width="${round(shape.width)}" height="${round(shape.height)}" ` +
+          `fill="${shape.fill}"/>`
+        );
+      }
+      if (shape.type === "polygon") {
+        const points = shape.points
+          .map(([x, y]) => `${round(x)},${round(y)}`)
+          .join(" ");
+        return `<polygon points="${points}" fill="${shape.fill}"/>`;
+      }
+      return (
+        `<text x="${round(shape.x)}" y="${round(shape.y)}" ` +
+        `font-size="${round(shape.size)}" fill="${shape.fill}">` +
+        `${escapeXml(shape.text)}</text>`
+      );
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" ` +
+        `height="${height}" viewBox="0 0 ${width} ${height}" ` +
+        `font-family="monospace" text-anchor="middle" ` +
+        `dominant-baseline="central">`,
+      `<title>${escapeXml(mazeData.name || "Maze")}</title>`,
+      ...elements,
+      "</svg>",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Render a maze onto a canvas 2D context at its top-left corner
+   * @param {CanvasRenderingContext2D} ctx - Context at least as big as the
+   *   size getShapes reports
+   * @param {Object} mazeData - Maze file data
+   * @param {Object} [options] - As for getShapes
+   */
+  function drawMaze(ctx, mazeData, options = {}) {
+    const { shapes } = getShapes(mazeData, options);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    shapes.forEach((shape) => {
+      ctx.fillStyle = shape.fill;
+      if (shape.type === "rect") {
+        ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+      } else if (shape.type === "polygon") {
+        ctx.beginPath();
+        shape.points.forEach(([x, y], i) =>
+          i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)
+        );
+        ctx.closePath();
+        ctx.fill();
+      } else {
+        ctx.font = `${shape.size}px monospace`;
+        ctx.fillText(shape.text, shape.x, shape.y);
+      }
+    });
+  }
+
+  return {
+    START,
+    DEFAULT_COLORS,
+    parseAscii,
+    formatAscii,
+    getShapes,
+    renderSvg,
+    drawMaze,
+  };
+});
@@ -0,0 +1,341 @@
+/**
+ * Fill part of a maze with a generated maze
+ *
+ * Lets the editor generate corridors into a rectangle, or into the area the
+ * start can't reach, around cells drawn by hand. The generated maze is fitted
+ * to the area with its own outer wall, then joined up: walls are opened along
+ * the shortest tunnels until the corridors around the area, the objects kept
+ * inside it and the new corridors all connect.
+ *
+ * Walls and floor inside the area are replaced; the start cell, exits, keys,
+ * doors and items are kept where they are. Nothing is written on the maze's
+ * outer wall. In the browser, js/maze-format.js and js/maze-generator.js must
+ * be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./maze-format"),
+      require("./maze-generator")
+    );
+  } else {
+    root.MazeFill = factory(root.MazeFormat, root.MazeGenerator);
+  }
+})(typeof self !== "undefined" ? self : this, function (
+  MazeFormat,
+  MazeGenerator
+) {
+  const { CELLS } = MazeFormat;
+
+  // Neighbour offsets (up, right, down, left)
+  const DIRECTIONS = [
+    { dx: 0, dy: -1 },
+    { dx: 1, dy: 0 },
+    { dx: 0, dy: 1 },
+    { dx: -1, dy: 0 },
+  ];
+
+  function cellKey(x, y) {
+    return `${x},${y}`;
+  }
+
+  // Whether (x, y) is inside the layout and not a wall
+  function isOpen(maze, x, y) {
+    return (
+      y >= 0 &&
+      y < maze.length &&
+      x >= 0 &&
+      x < maze[y].length &&
+      maze[y][x] !== CELLS.WALL
+    );
+  }
+
+  // Whether (x, y) is inside the outer wall
+  function isInterior(maze, x, y) {
+    return y > 0 && y < maze.length - 1 && x > 0 && x < maze[y].length - 1;
+  }
+
+  // Whether a fill may replace the cell at (x, y): plain wall or floor that
+  // isn't the start
+  function isReplaceable(maze, x, y, start) {
+    const cell = maze[y][x];
+    return (
+      (cell === CELLS.WALL || cell === CELLS.FLOOR) &&
+      !(start && start.x === x && start.y === y)
+    );
+  }
+
+  function getNeighbors(x, y) {
+    return DIRECTIONS.map((dir) => ({ x: x + dir.dx, y: y + dir.dy }));
+  }
+
+  // Number every group of connected open cells; walls get -1
+  function labelComponents(maze) {
+    const labels = maze.map((row) => row.map(() => -1));
+    let count = 0;
+
+    maze.forEach((row, y) =>
+      row.forEach((cell, x) => {
+        if (cell === CELLS.WALL || labels[y][x] !== -1) return;
+        labels[y][x] = count;
+        const stack = [{ x, y }];
+        while (stack.length > 0) {
+          const current = stack.pop();
+          getNeighbors(current.x, current.y).forEach((next) => {
+            if (isOpen(maze, next.x, next.y) && labels[next.y][next.x] === -1) {
+              labels[next.y][next.x] = count;
+              stack.push(next);
+            }
+          });
+        }
+        count++;
+      })
+    );
+
+    return labels;
+  }
+
+  /**
+   * The shortest run of tunnel cells from the `main` group to any other open
+   * cell, opening as few walls as possible
+   * @returns {Array|null} Wall cells to open, or null if none lead anywhere
+   */
+  function findTunnel(maze, labels, main, cells, tunnel) {
+    const from = new Map();
+    const queue = [];
+
+    cells.forEach((cell) => {
+      if (maze[cell.y][cell.x] !== CELLS.WALL) return;
+      const touchesMain = getNeighbors(cell.x, cell.y).some(
+        (next) =>
+          isOpen(maze, next.x, next.y) && labels[next.y][next.x] === main
+      );
+      if (touchesMain) {
+        from.set(cellKey(cell.x, cell.y), null);
+        queue.push(cell);
+      }
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+      const cell = queue[i];
+      for (const next of getNeighbors(cell.x, cell.y)) {
+        const key = cellKey(next.x, next.y);
+        if (isOpen(maze, next.x, next.y)) {
+          if (labels[next.y][next.x] === main) continue;
+          const path = [];
+          for (
+            let step = cell;
+            step;
+            step = from.get(cellKey(step.x, step.y))
+          ) {
+            path.push(step);
+          }
+          return path;
+        }
+        if (tunnel.has(key) && !from.has(key)) {
+          from.set(key, cell);
+          queue.push(next);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Open walls among `cells` until every open group in or next to them is
+   * connected, starting from the start's group when it is one of them
+   */
+  function joinArea(maze, cells, start) {
+    const tunnel = new Set(cells.map((cell) => cellKey(cell.x, cell.y)));
+
+    for (;;) {
+      const labels = labelComponents(maze);
+      const groups = new Set();
+      cells.forEach((cell) => {
+        [cell].concat(getNeighbors(cell.x, cell.y)).forEach((next) => {
+          if (isOpen(maze, next.x, next.y)) groups.add(labels[next.y][next.x]);
+        });
+      });
+      if (groups.size < 2) return;
+
+      const startGroup =
+        start && isOpen(maze, start.x, start.y) ? labels[start.y][start.x] : -1;
+      const main = groups.has(startGroup)
+        ? startGroup
+        : groups.values().next().value;
+      const path = findTunnel(maze, labels, main, cells, tunnel);
+      if (!path) return;
+      path.forEach((cell) => {
+        maze[cell.y][cell.x] = CELLS.FLOOR;
+      });
+    }
+  }
+
+  // Cells that differ between two layouts of the same size
+  function diffCells(before, after) {
+    const changes = [];
+    after.forEach((row, y) =>
+      row.forEach((cell, x) => {
+        if (before[y][x] !== cell) changes.push({ x, y, cell });
+      })
+    );
+    return changes;
+  }
+
+  /**
+   * Generate a maze over the bounding box of `area`, write it into the area's
+   * cells and join it to its surroundings through the `through` cells
+   */
+  function fillArea(layout, area, through, options) {
+    if (area.length === 0) return [];
+
+    // An area reaching the outer wall uses it as the generated maze's wall
+    const xs = area.map((cell) => cell.x);
+    const ys = area.map((cell) => cell.y);
+    const left = Math.min(...xs) === 1 ? 0 : Math.min(...xs);
+    const top = Math.min(...ys) === 1 ? 0 : Math.min(...ys);
+    const right =
+      Math.max(...xs) === layout[0].length - 2
+        ? layout[0].length - 1
+        : Math.max(...xs);
+    const bottom =
+      Math.max(...ys) === layout.length - 2
+        ? layout.length - 1
+        : Math.max(...ys);
+    const width = right - left + 1;
+    const height = bottom - top + 1;
+
+    // Cells sit at odd positions inside the generator's wall, so an even
+    // side leaves its last row or column as wall
+    const generated = MazeGenerator.generateMaze(
+      Math.max(width - ((width + 1) % 2), 3),
+      Math.max(height - ((height + 1) % 2), 3),
+      {
+        seed: options.seed,
+        algorithm: options.algorithm,
+        braid: options.braid,
+        loops: options.loops,
+      }
+    );
+
+    const maze = layout.map((row) => row.slice());
+    area.forEach(({ x, y }) => {
+      const row = generated[y - top];
+      const cell = row ? row[x - left] : CELLS.WALL;
+      maze[y][x] = cell === undefined || cell === CELLS.WALL
+        ? CELLS.WALL
+        : CELLS.FLOOR;
+    });
+
+    joinArea(maze, area.concat(through), options.start);
+    return diffCells(layout, maze);
+  }
+
+  /**
+   * The area a fill of the unreached part of a maze replaces: cells inside the
+   * outer wall that the start can't reach, less the walls right next to
+   * reachable cells so corridors already drawn keep their walls
+   * @param {Array} layout - Arrays of cells
+   * @param {Object} start - { x, y } of the start
+   * @returns {Array<Object>} { x, y } of each cell in the area
+   */
+  function findUnreached(layout, start) {
+    const labels = labelComponents(layout);
+    const reached = isOpen(layout, start.x, start.y)
+      ? labels[start.y][start.x]
+      : -1;
+    const isReached = (x, y) =>
+      isOpen(layout, x, y) && labels[y][x] === reached;
+
+    const area = [];
+    layout.forEach((row, y) =>
+      row.forEach((cell, x) => {
+        if (
+          isInterior(layout, x, y) &&
+          isReplaceable(layout, x, y, start) &&
+          !isReached(x, y) &&
+          !getNeighbors(x, y).some((next) => isReached(next.x, next.y))
+        ) {
+          area.push({ x, y });
+        }
+      })
+    );
+    return area;
+  }
+
+  /**
+   * Fill a rectangle with a generated maze joined to the corridors around it
+   * @param {Array} layout - Arrays of cells; left unchanged
+   * @param {Object} rect - { x, y, width, height }; the part on or beyond the
+   *   outer wall is ignored
+   * @param {Object} [options]
+   * @param {Object} [options.start] - { x, y } of the start, which is kept
+   *   and joined first
+   * @param {number|string} [options.seed] - Seed for the generator
+   * @param {string} [options.algorithm] - Generator algorithm id
+   * @param {number} [options.braid] - Fraction of dead ends to remove
+   * @param {number} [options.loops] - Fraction of walls to open into loops
+   * @returns {Array<Object>} { x, y, cell } for each cell that changes
+   */
+  function fillRect(layout, rect, options = {}) {
+    const area = [];
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        if (
+          isInterior(layout, x, y) &&
+          isReplaceable(layout, x, y, options.start)
+        ) {
+          area.push({ x, y });
+        }
+      }
+    }
+    return fillArea(layout, area, [], options);
+  }
+
+  /**
+   * Fill everything the start can't reach (see findUnreached) with a
+   * generated maze joined to the reachable corridors
+   * @param {Array} layout - Arrays of cells; left unchanged
+   * @param {Object} start - { x, y } of the start
+   * @param {Object} [options] - seed, algorithm, braid and loops as for
+   *   fillRect
+   * @returns {Array<Object>} { x, y, cell } for each cell that changes
+   */
+  function fillUnreached(layout, start, options = {}) {
+    const area = findUnreached(layout, start);
+    const inArea = new Set(area.map((cell) => cellKey(cell.x, cell.y)));
+
+    // The walls kept around reachable cells may be tunnelled through
+    const through = [];
+    const seen = new Set();
+    area.forEach((cell) => {
+      getNeighbors(cell.x, cell.y).forEach((next) => {
+        const key = cellKey(next.x, next.y);
+        if (
+          !inArea.has(key) &&
+          !seen.has(key) &&
+          isInterior(layout, next.x, next.y) &&
+          layout[next.y][next.x] === CELLS.WALL
+        ) {
+          seen.add(key);
+          through.push(next);
+        }
+      });
+    });
+
+    return fillArea(
+      layout,
+      area,
+      through,
+      Object.assign({}, options, { start })
+    );
+  }
+
+  return {
+    findUnreached,
+    fillRect,
+    fillUnreached,
+  };
+});
@@ -0,0 +1,150 @@
+/**
+ * Maze file format helpers
+ *
+ * Maze files describe the layout as rows of single-character cells:
+ *
+ *   '#' wall, ' ' floor, 'E' exit,
+ *   'K' key, 'D' locked door, 'C' collectible item
+ *
+ * `exit` may be a single { x, y } or an array of them; every exit listed is
+ * marked 'E' when the maze is loaded, and 'E' cells already in the layout
+ * count as exits too. Picking up any key unlocks every door. When
+ * `collectAll` is true the exits only open once every item has been picked
+ * up; otherwise items are a bonus.
+ *
+ * `layout` rows are either arrays of cells or strings, one character per
+ * cell ("#  E#"). A number in front of a cell repeats it ("5#" is "#####"),
+ * so long runs can be stored run-length encoded. Use decodeLayout() to get
+ * arrays of cells back whichever way the file stores them.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeFormat = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const CELLS = {
+    WALL: "#",
+    FLOOR: " ",
+    EXIT: "E",
+    KEY: "K",
+    DOOR: "D",
+    ITEM: "C",
+  };
+
+  const VALID_CELLS = Object.values(CELLS);
+
+  // Shortest run written as a count when run-length encoding; a run of two
+  // is no shorter as "2#" than as "##"
+  const MIN_RUN = 3;
+
+  // One string row expanded to cells: "3#E" -> ["#", "#", "#", "E"]
+  function decodeRow(row) {
+    const cells = [];
+    const pattern = /(\d*)(\D)/g;
+    let match;
+    while ((match = pattern.exec(row))) {
+      const count = match[1] ? parseInt(match[1], 10) : 1;
+      for (let i = 0; i < count; i++) cells.push(match[2]);
+    }
+    return cells;
+  }
+
+  // One row of cells as a string, with long runs counted when runLength is set
+  function encodeRow(cells, runLength) {
+    if (!runLength) return cells.join("");
+
+    let row = "";
+    for (let i = 0; i < cells.length; ) {
+      let end = i;
+      while (end < cells.length && cells[end] === cells[i]) end++;
+      const count = end - i;
+      row += count >= MIN_RUN ? `${count}${cells[i]}` : cells[i].repeat(count);
+      i = end;
+    }
+    return row;
+  }
+
+  /**
+   * Layout as arrays of cells, whether rows are stored as arrays or strings
+   * @param {Array} layout - Layout from a maze file
+   * @returns {Array} New array of cell arrays; anything that isn't an array
+   *   (e.g. a "PROCEDURAL" placeholder) is returned as it is
+   */
+  function decodeLayout(layout) {
+    if (!Array.isArray(layout)) return layout;
+    return layout.map((row) =>
+      typeof row === "string"
+        ? decodeRow(row)
+        : Array.isArray(row)
+        ? row.slice()
+        : row
+    );
+  }
+
+  /**
+   * Layout with each row as a string, for compact maze files
+   * @param {Array} layout - Arrays of cells (or rows already encoded)
+   * @param {Object} [options]
+   * @param {boolean} [options.runLength=false] - Write runs of
+   *   MIN_RUN or more equal cells as a count and the cell
+   * @returns {Array<string>} One string per row
+   */
+  function encodeLayout(layout, options = {}) {
+    return decodeLayout(layout).map((row) => encodeRow(row, options.runLength));
+  }
+
+  /**
+   * Exits listed in a maze file, always as an array
+   * @param {Object} mazeData - Parsed maze file
+   * @returns {Array<Object>} { x, y } exits; empty when none are given
+   */
+  function getExits(mazeData) {
+    const exit = mazeData && mazeData.exit;
+    if (!exit) return [];
+    return (Array.isArray(exit) ? exit : [exit]).map((e) => ({
+      x: e.x,
+      y: e.y,
+    }));
+  }
+
+  // The `exit` value to write back: a plain object for a single exit so
+  // single-exit files keep their original shape
+  function formatExits(exits) {
+    return exits.length === 1 ? exits[0] : exits;
+  }
+
+  // How many cells of the given type a layout contains
+  function countCells(layout, cell) {
+    return layout.reduce(
+      (total, row) => total + row.filter((c) => c === cell).length,
+      0
+    );
+  }
+
+  /**
+   * Copy of the layout ready to play, with every listed exit marked 'E'
+   * @param {Object} mazeData - Parsed maze file
+   * @returns {Array} New layout; the file's own layout is left untouched
+   */
+  function prepareLayout(mazeData) {
+    const layout = decodeLayout(mazeData.layout);
+    getExits(mazeData).forEach(({ x, y }) => {
+      if (layout[y] && layout[y][x] !== undefined) layout[y][x] = CELLS.EXIT;
+    });
+    return layout;
+  }
+
+  return {
+    CELLS,
+    VALID_CELLS,
+    getExits,
+    formatExits,
+    countCells,
+    decodeLayout,
+    encodeLayout,
+    prepareLayout,
+  };
+});
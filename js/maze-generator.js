@@ -0,0 +1,359 @@
+/**
+ * Maze generation utility functions
+ *
+ * This module provides functions for generating mazes of different types.
+ * It is shared by the game, the editor, the Node scripts and the tests:
+ * browsers load it with a <script> tag and get a global `MazeGenerator`,
+ * Node loads it with require(). In the browser, js/maze-algorithms.js and
+ * js/maze-braid.js must be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./maze-algorithms"),
+      require("./maze-braid")
+    );
+  } else {
+    root.MazeGenerator = factory(root.MazeAlgorithms, root.MazeBraid);
+  }
+})(typeof self !== "undefined" ? self : this, function (
+  MazeAlgorithms,
+  MazeBraid
+) {
+  const DEFAULT_ALGORITHM = "dfs";
+
+  // Registry of generation strategies, keyed by the id callers pass as
+  // `options.algorithm`
+  const algorithms = Object.assign(
+    {
+      dfs: { label: "Depth-first (guaranteed path)", carve: carveDepthFirst },
+    },
+    MazeAlgorithms
+  );
+
+  // Generate a maze with a guaranteed path from start to exit. Pass
+  // `options.seed` to get the same layout every time for that seed, and
+  // `options.algorithm` to pick a strategy from the registry. `options.braid`
+  // (fraction of dead ends to remove) and `options.loops` (fraction of
+  // corridor walls to open) turn the perfect maze into a looped one.
+  function generateMaze(width, height, options = {}) {
+    const random =
+      options.seed === undefined || options.seed === null
+        ? Math.random
+        : createRandom(options.seed);
+    const algorithm = getAlgorithm(options.algorithm || DEFAULT_ALGORITHM);
+
+    // Initialize maze with all walls
+    const maze = Array(height)
+      .fill()
+      .map(() => Array(width).fill("#"));
+
+    // Define start and exit points
+    const startX = 1;
+    const startY = 1;
+    const exitX = width - 2;
+    const exitY = height - 2;
+
+    algorithm.carve(maze, width, height, random);
+
+    // Every algorithm carves the start cell; join the exit to the maze when
+    // it sits on a wall position (even width or height)
+    maze[startY][startX] = " ";
+    connectExit(maze, exitX, exitY);
+
+    // Set exit cell
+    maze[exitY][exitX] = "E";
+
+    if (options.braid || options.loops) {
+      MazeBraid.braidMaze(maze, {
+        braid: options.braid,
+        loops: options.loops,
+        random,
+      });
+    }
+
+    return maze;
+  }
+
+  // Look up a registered algorithm by id
+  function getAlgorithm(id) {
+    if (!Object.prototype.hasOwnProperty.call(algorithms, id)) {
+      throw new Error(
+        `Unknown maze algorithm "${id}". Available: ${Object.keys(
+          algorithms
+        ).join(", ")}`
+      );
+    }
+    return algorithms[id];
+  }
+
+  // Add a generation strategy; carve(maze, width, height, random) must open
+  // the cell at (1, 1) and leave every open cell connected to it
+  function registerAlgorithm(id, label, carve) {
+    algorithms[id] = { label, carve };
+  }
+
+  // List the registered algorithms for menus, default first
+  function listAlgorithms() {
+    return Object.keys(algorithms).map((id) => ({
+      id,
+      label: algorithms[id].label,
+    }));
+  }
+
+  // Open a path from the exit to the nearest cell at odd coordinates, unless
+  // the algorithm already reached it
+  function connectExit(maze, exitX, exitY) {
+    if (maze[exitY][exitX] !== "#") return;
+
+    maze[exitY][exitX] = " ";
+
+    let x = exitX;
+    if (x % 2 === 0) {
+      x -= 1;
+      maze[exitY][x] = " ";
+    }
+    if (exitY % 2 === 0) {
+      maze[exitY - 1][x] = " ";
+    }
+  }
+
+  // Recursive backtracker that first carves a direct route from the start
+  // to the exit, then fills the rest of the grid with random corridors
+  function carveDepthFirst(maze, width, height, random) {
+    const startX = 1;
+    const startY = 1;
+    const exitX = width - 2;
+    const exitY = height - 2;
+
+    // Mark the start position
+    maze[startY][startX] = " ";
+
+    // Use a modified DFS algorithm with guaranteed path
+    const visited = new Set();
+    visited.add(`${startX},${startY}`);
+
+    // First, ensure there's a path from start to exit
+    ensurePathExists(
+      maze,
+      startX,
+      startY,
+      exitX,
+      exitY,
+      visited,
+      width,
+      height
+    );
+
+    // Then, fill in the rest of the maze with random paths
+    fillRemainingMaze(maze, visited, width, height, random);
+  }
+
+  // Helper method to ensure a path exists from start to exit
+  function ensurePathExists(
+    maze,
+    startX,
+    startY,
+    exitX,
+    exitY,
+    visited,
+    width,
+    height
+  ) {
+    // If we've reached very close to the exit, make the final connection
+    if (Math.abs(startX - exitX) <= 2 && Math.abs(startY - exitY) <= 2) {
+      // Make a direct path to the exit
+      const dx = exitX - startX;
+      const dy = exitY - startY;
+
+      // Carve a straight path
+      if (dx !== 0) {
+        // Horizontal connection
+        const stepX = dx > 0 ? 1 : -1;
+        for (let x = startX + stepX; x !== exitX + stepX; x += stepX) {
+          maze[startY][x] = " ";
+          visited.add(`${x},${startY}`);
+        }
+      }
+
+      if (dy !== 0) {
+        // Vertical connection
+        const stepY = dy > 0 ? 1 : -1;
+        for (let y = startY + stepY; y !== exitY + stepY; y += stepY) {
+          maze[y][exitX] = " ";
+          visited.add(`${exitX},${y}`);
+        }
+      }
+
+      return true;
+    }
+
+    // Directions to try, prioritizing moving towards the exit
+    const directions = [
+      { dx: 0, dy: -2 }, // Up
+      { dx: 2, dy: 0 }, // Right
+      { dx: 0, dy: 2 }, // Down
+      { dx: -2, dy: 0 }, // Left
+    ];
+
+    // Sort directions based on how much closer they get us to the exit
+    directions.sort((a, b) => {
+      const distA =
+        Math.abs(startX + a.dx - exitX) + Math.abs(startY + a.dy - exitY);
+      const distB =
+        Math.abs(startX + b.dx - exitX) + Math.abs(startY + b.dy - exitY);
+      return distA - distB;
+    });
+
+    for (const dir of directions) {
+      const nx = startX + dir.dx;
+      const ny = startY + dir.dy;
+
+      // Skip if out of bounds or already visited
+      if (!isValidCell(nx, ny, width, height) || visited.has(`${nx},${ny}`)) {
+        continue;
+      }
+
+      // Carve the path
+      maze[startY + dir.dy / 2][startX + dir.dx / 2] = " ";
+      maze[ny][nx] = " ";
+      visited.add(`${nx},${ny}`);
+
+      // Recursively continue path finding
+      if (
+        ensurePathExists(maze, nx, ny, exitX, exitY, visited, width, height)
+      ) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Helper method to fill in the rest of the maze with random paths
+  function fillRemainingMaze(
+    maze,
+    visited,
+    width,
+    height,
+    random = Math.random
+  ) {
+    // Standard DFS algorithm to fill in the rest of the maze
+    const stack = Array.from(visited).map((coord) => {
+      const [x, y] = coord.split(",").map(Number);
+      return { x, y };
+    });
+
+    while (stack.length > 0) {
+      const current = stack[stack.length - 1];
+
+      // Check neighbors (up, right, down, left)
+      const neighbors = [];
+      const directions = [
+        { dx: 0, dy: -2 }, // Up
+        { dx: 2, dy: 0 }, // Right
+        { dx: 0, dy: 2 }, // Down
+        { dx: -2, dy: 0 }, // Left
+      ];
+
+      for (const dir of directions) {
+        const nx = current.x + dir.dx;
+        const ny = current.y + dir.dy;
+
+        // Check if neighbor is valid and unvisited
+        if (
+          isValidCell(nx, ny, width, height) &&
+          maze[ny][nx] === "#" &&
+          !visited.has(`${nx},${ny}`)
+        ) {
+          neighbors.push({
+            x: nx,
+            y: ny,
+            dx: dir.dx / 2,
+            dy: dir.dy / 2,
+          });
+        }
+      }
+
+      if (neighbors.length > 0) {
+        // Choose a random neighbor
+        const next = neighbors[Math.floor(random() * neighbors.length)];
+
+        // Create path between current and next
+        maze[current.y + next.dy][current.x + next.dx] = " ";
+        maze[next.y][next.x] = " ";
+
+        // Mark as visited
+        visited.add(`${next.x},${next.y}`);
+
+        // Push next cell to stack
+        stack.push({ x: next.x, y: next.y });
+      } else {
+        // Dead end, backtrack
+        stack.pop();
+      }
+    }
+  }
+
+  // Helper method to check if a cell position is valid within the maze
+  function isValidCell(x, y, width, height) {
+    return x > 0 && x < width - 1 && y > 0 && y < height - 1;
+  }
+
+  // Create a deterministic random number generator (mulberry32) that returns
+  // floats in [0, 1) like Math.random, so every browser and Node version
+  // produces the same sequence for the same seed
+  function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    return function () {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Turn a numeric or text seed into an unsigned 32-bit integer. Digit-only
+  // strings (as read from a URL or command line) count as numbers, anything
+  // else is hashed with FNV-1a.
+  function normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Pick a fresh seed that is short enough to read out or type in
+  function createSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  return {
+    generateMaze,
+    ensurePathExists,
+    fillRemainingMaze,
+    isValidCell,
+    connectExit,
+    getAlgorithm,
+    registerAlgorithm,
+    listAlgorithms,
+    DEFAULT_ALGORITHM,
+    createRandom,
+    normalizeSeed,
+    createSeed,
+  };
+});
@@ -0,0 +1,212 @@
+/**
+ * Editor undo history
+ *
+ * Records edits to a maze being edited so they can be undone and redone.
+ * An edit is whatever happens between begin() and commit(): the cells
+ * changed along the way (reported through recordCell()) and the start,
+ * exits and collectAll setting before and after. Edits that replace the
+ * whole layout, such as a resize, are recorded as snapshots instead.
+ *
+ * The history is bounded both by the number of edits and by the number of
+ * cells they hold, dropping the oldest edits first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeHistory = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Editor state saved with every edit, and with snapshots as well
+  const TRACKED = ["playerStart", "exits", "collectAll"];
+  const SNAPSHOT = TRACKED.concat(["width", "height", "maze"]);
+
+  const DEFAULT_LIMIT = 100;
+  const DEFAULT_MAX_CELLS = 250000;
+
+  // Deep copy of the listed properties of the editor state
+  function pick(state, keys) {
+    const values = {};
+    keys.forEach((key) => {
+      if (state[key] !== undefined) {
+        values[key] = JSON.parse(JSON.stringify(state[key]));
+      }
+    });
+    return values;
+  }
+
+  class EditHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Most edits kept for undo
+     * @param {number} [options.maxCells=250000] - Most cells kept across all
+     *   edits; snapshots count every cell of both layouts
+     */
+    constructor(options = {}) {
+      this.limit = options.limit || DEFAULT_LIMIT;
+      this.maxCells = options.maxCells || DEFAULT_MAX_CELLS;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.pending = null;
+    }
+
+    get canUndo() {
+      return this.undoStack.length > 0 && !this.pending;
+    }
+
+    get canRedo() {
+      return this.redoStack.length > 0 && !this.pending;
+    }
+
+    // Label of the edit the next undo() or redo() would apply
+    get undoLabel() {
+      return this.canUndo
+        ? this.undoStack[this.undoStack.length - 1].label
+        : null;
+    }
+
+    get redoLabel() {
+      return this.canRedo
+        ? this.redoStack[this.redoStack.length - 1].label
+        : null;
+    }
+
+    /**
+     * Start recording an edit; any edit still open is committed first
+     * @param {string} label - Name for the edit, e.g. "Wall" or "Resize"
+     * @param {Object} state - Editor state with maze, width, height,
+     *   playerStart, exits and collectAll
+     * @param {Object} [options]
+     * @param {boolean} [options.snapshot=false] - Save the whole layout and
+     *   size, for edits that replace the layout rather than change cells
+     */
+    begin(label, state, options = {}) {
+      if (this.pending) this.commit(state);
+      const keys = options.snapshot ? SNAPSHOT : TRACKED;
+      this.pending = {
+        label,
+        keys,
+        before: pick(state, keys),
+        cells: new Map(),
+      };
+    }
+
+    /**
+     * Note a cell change in the open edit. A cell changed several times
+     * keeps its first value to undo to. Ignored when no edit is open.
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {string} before - Cell before the change
+     * @param {string} after - Cell after the change
+     */
+    recordCell(x, y, before, after) {
+      if (!this.pending) return;
+      const key = `${x},${y}`;
+      const cell = this.pending.cells.get(key);
+      if (cell) {
+        cell.after = after;
+      } else {
+        this.pending.cells.set(key, { x, y, before, after });
+      }
+    }
+
+    /**
+     * Finish the open edit and add it to the history, unless nothing changed
+     * @param {Object} state - Editor state after the edit
+     * @returns {boolean} Whether an edit was added
+     */
+    commit(state) {
+      const pending = this.pending;
+      if (!pending) return false;
+      this.pending = null;
+
+      const cells = Array.from(pending.cells.values()).filter(
+        (cell) => cell.before !== cell.after
+      );
+      const after = pick(state, pending.keys);
+      if (
+        cells.length === 0 &&
+        JSON.stringify(after) === JSON.stringify(pending.before)
+      ) {
+        return false;
+      }
+
+      const layoutCells = pending.keys.includes("maze")
+        ? (state.width * state.height || 0) +
+          (pending.before.width * pending.before.height || 0)
+        : 0;
+      this.undoStack.push({
+        label: pending.label,
+        cells,
+        before: pending.before,
+        after,
+        size: cells.length + layoutCells,
+      });
+      this.redoStack = [];
+      this.trim();
+      return true;
+    }
+
+    // Drop the open edit without recording it
+    cancel() {
+      this.pending = null;
+    }
+
+    /**
+     * Undo the latest edit
+     * @param {Object} state - Editor state to change back
+     * @returns {string|null} Label of the edit undone, or null if none
+     */
+    undo(state) {
+      if (!this.canUndo) return null;
+      const edit = this.undoStack.pop();
+      this.apply(state, edit, "before");
+      this.redoStack.push(edit);
+      return edit.label;
+    }
+
+    /**
+     * Redo the latest undone edit
+     * @param {Object} state - Editor state to change again
+     * @returns {string|null} Label of the edit redone, or null if none
+     */
+    redo(state) {
+      if (!this.canRedo) return null;
+      const edit = this.redoStack.pop();
+      this.apply(state, edit, "after");
+      this.undoStack.push(edit);
+      return edit.label;
+    }
+
+    // Forget every edit, e.g. when another maze is loaded
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.pending = null;
+    }
+
+    // Put the state back to one side ("before" or "after") of an edit
+    apply(state, edit, side) {
+      Object.assign(state, pick(edit[side], Object.keys(edit[side])));
+      edit.cells.forEach((cell) => {
+        state.maze[cell.y][cell.x] = cell[side];
+      });
+    }
+
+    // Drop the oldest edits beyond the limits, keeping at least the latest
+    trim() {
+      let total = this.undoStack.reduce((sum, edit) => sum + edit.size, 0);
+      while (
+        this.undoStack.length > 1 &&
+        (this.undoStack.length > this.limit || total > this.maxCells)
+      ) {
+        total -= this.undoStack.shift().size;
+      }
+    }
+  }
+
+  return {
+    EditHistory,
+  };
+});
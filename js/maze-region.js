@@ -0,0 +1,197 @@
+/**
+ * Maze regions and transforms
+ *
+ * Grid operations behind the editor's selection, copy/paste, rectangle and
+ * room tools: cutting a rectangle of cells out of a layout, turning and
+ * mirroring it, and working out where it lands when pasted. Whole mazes can
+ * be turned and mirrored too, taking the start and exits with them.
+ *
+ * Regions are plain arrays of rows of cells, like a decoded layout.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./maze-format"));
+  } else {
+    root.MazeRegion = factory(root.MazeFormat);
+  }
+})(typeof self !== "undefined" ? self : this, function (MazeFormat) {
+  const { CELLS } = MazeFormat;
+
+  const TRANSFORMS = {
+    ROTATE: "rotate",
+    FLIP_HORIZONTAL: "flip-horizontal",
+    FLIP_VERTICAL: "flip-vertical",
+  };
+
+  /**
+   * Rectangle spanned by two corner cells, in either order
+   * @param {Object} from - { x, y } of one corner
+   * @param {Object} to - { x, y } of the opposite corner
+   * @returns {Object} { x, y, width, height } with x, y the top-left cell
+   */
+  function getRect(from, to) {
+    return {
+      x: Math.min(from.x, to.x),
+      y: Math.min(from.y, to.y),
+      width: Math.abs(to.x - from.x) + 1,
+      height: Math.abs(to.y - from.y) + 1,
+    };
+  }
+
+  /**
+   * Copy the cells inside a rectangle. Exits become floor: a maze keeps its
+   * exits in a list, so copies of them would not be exits.
+   * @param {Array} layout - Arrays of cells
+   * @param {Object} rect - { x, y, width, height }
+   * @returns {Array} New arrays of cells
+   */
+  function copyCells(layout, rect) {
+    const cells = [];
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      cells.push(
+        layout[y]
+          .slice(rect.x, rect.x + rect.width)
+          .map((cell) => (cell === CELLS.EXIT ? CELLS.FLOOR : cell))
+      );
+    }
+    return cells;
+  }
+
+  // Turn a region a quarter clockwise: its width and height swap
+  function rotateCells(cells) {
+    const height = cells.length;
+    const width = height > 0 ? cells[0].length : 0;
+    const rotated = [];
+    for (let y = 0; y < width; y++) {
+      const row = [];
+      for (let x = 0; x < height; x++) row.push(cells[height - 1 - x][y]);
+      rotated.push(row);
+    }
+    return rotated;
+  }
+
+  // Mirror a region left to right, or top to bottom when vertical is set
+  function flipCells(cells, vertical) {
+    return vertical
+      ? cells.slice().reverse().map((row) => row.slice())
+      : cells.map((row) => row.slice().reverse());
+  }
+
+  /**
+   * Apply one of TRANSFORMS to a region
+   * @param {Array} cells - Arrays of cells
+   * @param {string} transform - A TRANSFORMS value
+   * @returns {Array} New arrays of cells
+   */
+  function transformCells(cells, transform) {
+    if (transform === TRANSFORMS.ROTATE) return rotateCells(cells);
+    if (transform === TRANSFORMS.FLIP_HORIZONTAL)
+      return flipCells(cells, false);
+    if (transform === TRANSFORMS.FLIP_VERTICAL) return flipCells(cells, true);
+    throw new Error(`Unknown transform: ${transform}`);
+  }
+
+  /**
+   * Cells for the rectangle and room tools
+   * @param {number} width - Width in cells
+   * @param {number} height - Height in cells
+   * @param {string} cell - Cell to fill a rectangle with
+   * @param {boolean} [room=false] - Draw a room instead: a wall around
+   *   open floor
+   * @returns {Array} Arrays of cells
+   */
+  function shapeCells(width, height, cell, room = false) {
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) {
+        const edge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        row.push(room ? (edge ? CELLS.WALL : CELLS.FLOOR) : cell);
+      }
+      cells.push(row);
+    }
+    return cells;
+  }
+
+  /**
+   * Where a region's cells land when placed with its top-left corner at
+   * left, top. Cells off the maze or on its outer wall are left out.
+   * @param {number} width - Maze width
+   * @param {number} height - Maze height
+   * @param {Array} cells - Region to place
+   * @param {number} left - Maze column for the region's first column
+   * @param {number} top - Maze row for the region's first row
+   * @returns {Array<Object>} { x, y, cell } for each cell to write
+   */
+  function placeCells(width, height, cells, left, top) {
+    const placed = [];
+    cells.forEach((row, dy) => {
+      row.forEach((cell, dx) => {
+        const x = left + dx;
+        const y = top + dy;
+        if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+          placed.push({ x, y, cell });
+        }
+      });
+    });
+    return placed;
+  }
+
+  // Where a cell of a width x height maze ends up after a transform
+  function transformPoint(point, width, height, transform) {
+    if (transform === TRANSFORMS.ROTATE) {
+      return { x: height - 1 - point.y, y: point.x };
+    }
+    if (transform === TRANSFORMS.FLIP_HORIZONTAL) {
+      return { x: width - 1 - point.x, y: point.y };
+    }
+    return { x: point.x, y: height - 1 - point.y };
+  }
+
+  // The way the start faces after a transform (0 = North to 3 = West)
+  function transformDirection(direction, transform) {
+    if (transform === TRANSFORMS.ROTATE) return (direction + 1) % 4;
+    if (transform === TRANSFORMS.FLIP_HORIZONTAL) {
+      return direction % 2 === 1 ? 4 - direction : direction;
+    }
+    return direction % 2 === 0 ? (direction + 2) % 4 : direction;
+  }
+
+  /**
+   * Turn or mirror a whole maze, moving the start and exits with it
+   * @param {Object} maze - { width, height, maze, playerStart, exits } as
+   *   kept by the editor, with the layout in `maze`
+   * @param {string} transform - A TRANSFORMS value
+   * @returns {Object} New { width, height, maze, playerStart, exits }
+   */
+  function transformMaze(maze, transform) {
+    const { width, height } = maze;
+    const start = transformPoint(maze.playerStart, width, height, transform);
+    const rotated = transform === TRANSFORMS.ROTATE;
+
+    return {
+      width: rotated ? height : width,
+      height: rotated ? width : height,
+      maze: transformCells(maze.maze, transform),
+      playerStart: {
+        x: start.x,
+        y: start.y,
+        direction: transformDirection(maze.playerStart.direction, transform),
+      },
+      exits: maze.exits.map((exit) =>
+        transformPoint(exit, width, height, transform)
+      ),
+    };
+  }
+
+  return {
+    TRANSFORMS,
+    getRect,
+    copyCells,
+    transformCells,
+    shapeCells,
+    placeCells,
+    transformMaze,
+  };
+});
@@ -0,0 +1,543 @@
+/**
+ * Game renderer
+ *
+ * Draws a game engine's state onto two canvases: the first-person view down
+ * the corridor ahead and the minimap with its legend, each marking the route
+ * of the last hint while the player follows it. Everything is drawn
+ * through the 2D context's own calls, so any object with the same methods
+ * can stand in for a canvas (the rendering tests record what is drawn).
+ *
+ * In the browser, js/maze-viewport.js must be loaded first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./maze-viewport"));
+  } else {
+    root.MazeRenderer = factory(root.MazeViewport);
+  }
+})(typeof self !== "undefined" ? self : this, function (MazeViewport) {
+  // Floor marks and minimap dots for the route a hint shows
+  const HINT_COLOR = "magenta";
+
+  class GameRenderer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.engine - MazeEngine.GameEngine to draw
+     * @param {Object} options.canvas - First-person view canvas
+     * @param {Object} options.minimapCanvas - Minimap canvas
+     * @param {number} [options.viewDepth] - How many cells ahead the view
+     *   draws; the engine's view depth by default
+     * @param {number} [options.legendHeight=40] - Height of the strip under
+     *   the minimap kept for the legend
+     */
+    constructor(options) {
+      this.engine = options.engine;
+      this.canvas = options.canvas;
+      this.ctx = this.canvas.getContext("2d");
+      this.minimapCanvas = options.minimapCanvas;
+      this.minimapCtx = this.minimapCanvas.getContext("2d");
+      this.viewDepth = options.viewDepth || this.engine.viewDepth;
+      this.legendHeight = options.legendHeight || 40;
+    }
+
+    /**
+     * Draw the first-person view
+     * @param {Object} currentPos - { x, y, direction } of the player, which
+     *   may be fractional part-way through a move or turn
+     */
+    drawFirstPersonView(currentPos) {
+      // Direction vectors for checking walls
+      const dx = [0, 1, 0, -1]; // N, E, S, W
+      const dy = [-1, 0, 1, 0];
+
+      // Snap to the nearest cell and facing so the view flips halfway
+      // through a move or turn animation
+      const direction = Math.round(currentPos.direction) % 4;
+      const leftDir = (direction + 3) % 4;
+      const rightDir = (direction + 1) % 4;
+      const cellX = Math.round(currentPos.x);
+      const cellY = Math.round(currentPos.y);
+
+      // How far the player has slid past the cell centre along the facing
+      // direction, used to move every depth slice closer while walking
+      const offset =
+        (currentPos.x - cellX) * dx[direction] +
+        (currentPos.y - cellY) * dy[direction];
+
+      // Draw floor and ceiling
+      this.drawFloorAndCeiling();
+
+      // Cells of the route a hint is showing
+      const hinted = new Set(
+        this.engine.hint
+          ? this.engine.hint.cells.map((cell) => `${cell.x},${cell.y}`)
+          : []
+      );
+
+      // Walk forward along the facing direction until the first front wall
+      // or the configured view depth, recording what lies either side
+      const slices = [];
+      let frontWallDepth = -1;
+
+      for (let depth = 0; depth < this.viewDepth; depth++) {
+        const x = cellX + dx[direction] * depth;
+        const y = cellY + dy[direction] * depth;
+
+        slices.push({
+          depth,
+          isExit: this.engine.isExit(x, y),
+          leftWall: this.engine.checkWall(x + dx[leftDir], y + dy[leftDir]),
+          rightWall: this.engine.checkWall(x + dx[rightDir], y + dy[rightDir]),
+          leftExit: this.engine.isExit(x + dx[leftDir], y + dy[leftDir]),
+          rightExit: this.engine.isExit(x + dx[rightDir], y + dy[rightDir]),
+          isHinted: hinted.has(`${x},${y}`),
+          leftHinted: hinted.has(`${x + dx[leftDir]},${y + dy[leftDir]}`),
+          rightHinted: hinted.has(`${x + dx[rightDir]},${y + dy[rightDir]}`),
+        });
+
+        if (this.engine.checkWall(x + dx[direction], y + dy[direction])) {
+          frontWallDepth = depth;
+          break;
+        }
+      }
+
+      // Paint from the farthest slice to the nearest so closer walls
+      // overlap the ones behind them
+      if (frontWallDepth >= 0) {
+        this.drawFrontWall(
+          this.getViewFrame(frontWallDepth, offset),
+          frontWallDepth
+        );
+      } else {
+        // Nothing in range: the corridor fades into darkness
+        const horizon = this.getViewFrame(slices.length - 1, offset);
+        this.ctx.fillStyle = "black";
+        this.ctx.fillRect(
+          horizon.left,
+          horizon.top,
+          horizon.right - horizon.left,
+          horizon.bottom - horizon.top
+        );
+      }
+
+      for (let i = slices.length - 1; i >= 0; i--) {
+        const slice = slices[i];
+        const near = this.getViewFrame(slice.depth - 1, offset);
+        const far = this.getViewFrame(slice.depth, offset);
+
+        if (slice.isExit && slice.depth > 0) {
+          this.drawExitFloor(near, far);
+        } else if (slice.isHinted && slice.depth > 0) {
+          this.drawHintFloor(near, far);
+        }
+
+        if (slice.leftWall) {
+          this.drawSideWall(near, far, "left", slice.depth);
+        } else {
+          this.drawSideOpening(
+            near,
+            far,
+            "left",
+            slice.depth,
+            slice.leftExit,
+            slice.leftHinted
+          );
+        }
+
+        if (slice.rightWall) {
+          this.drawSideWall(near, far, "right", slice.depth);
+        } else {
+          this.drawSideOpening(
+            near,
+            far,
+            "right",
+            slice.depth,
+            slice.rightExit,
+            slice.rightHinted
+          );
+        }
+      }
+    }
+
+    // Screen rectangle where the plane at the far edge of the cell `depth`
+    // steps ahead meets the walls. Depth -1 is the near plane just behind
+    // the player, which extends past the canvas edges.
+    getViewFrame(depth, offset = 0) {
+      const centerX = this.canvas.width / 2;
+      const centerY = this.canvas.height / 2;
+      const distance = Math.max(depth + 0.5 - offset, 0.25);
+      const scale = 0.5 / distance;
+
+      return {
+        left: centerX - 220 * scale,
+        right: centerX + 220 * scale,
+        top: centerY - 100 * scale,
+        bottom: centerY + 100 * scale,
+      };
+    }
+
+    // Grey level for a surface `depth` cells away, fading with distance
+    getDepthShade(depth, base) {
+      const level = Math.max(base - depth * 12, 0x18);
+      const hex = level.toString(16).padStart(2, "0");
+      return `#${hex}${hex}${hex}`;
+    }
+
+    // Draw the wall that blocks the corridor
+    drawFrontWall(frame, depth) {
+      const width = frame.right - frame.left;
+      const height = frame.bottom - frame.top;
+
+      this.ctx.fillStyle = this.getDepthShade(depth, 0x55);
+      this.ctx.fillRect(frame.left, frame.top, width, height);
+
+      // Wall outline
+      this.ctx.strokeStyle = "white";
+      this.ctx.lineWidth = depth === 0 ? 2 : 1;
+      this.ctx.beginPath();
+      this.ctx.rect(frame.left, frame.top, width, height);
+      this.ctx.stroke();
+    }
+
+    // Draw a solid wall running along the corridor between two frames
+    drawSideWall(near, far, side, depth) {
+      const nearX = side === "left" ? near.left : near.right;
+      const farX = side === "left" ? far.left : far.right;
+
+      this.ctx.fillStyle = this.getDepthShade(depth, 0x44);
+      this.ctx.beginPath();
+      this.ctx.moveTo(nearX, near.top);
+      this.ctx.lineTo(farX, far.top);
+      this.ctx.lineTo(farX, far.bottom);
+      this.ctx.lineTo(nearX, near.bottom);
+      this.ctx.closePath();
+      this.ctx.fill();
+
+      // Wall outline
+      this.ctx.strokeStyle = "white";
+      this.ctx.lineWidth = depth === 0 ? 2 : 1;
+      this.ctx.stroke();
+    }
+
+    // Draw a side passage: the far wall of the neighbouring cell seen
+    // face-on through the gap, at the height of the far frame, outlined in
+    // the hint colour when the hinted route turns into it
+    drawSideOpening(near, far, side, depth, isExit, isHinted = false) {
+      const nearX = side === "left" ? near.left : near.right;
+      const farX = side === "left" ? far.left : far.right;
+      const left = Math.min(nearX, farX);
+      const width = Math.abs(farX - nearX);
+      const height = far.bottom - far.top;
+
+      this.ctx.fillStyle = isExit
+        ? "green"
+        : this.getDepthShade(depth + 1, 0x55);
+      this.ctx.fillRect(left, far.top, width, height);
+
+      // Wall outline
+      this.ctx.strokeStyle = isHinted ? HINT_COLOR : "white";
+      this.ctx.lineWidth = isHinted ? 3 : 1;
+      this.ctx.beginPath();
+      this.ctx.rect(left, far.top, width, height);
+      this.ctx.stroke();
+    }
+
+    // Highlight the floor of the exit cell when it lies down the corridor
+    drawExitFloor(near, far) {
+      this.ctx.fillStyle = "green";
+      this.ctx.beginPath();
+      this.ctx.moveTo(near.left, near.bottom);
+      this.ctx.lineTo(near.right, near.bottom);
+      this.ctx.lineTo(far.right, far.bottom);
+      this.ctx.lineTo(far.left, far.bottom);
+      this.ctx.closePath();
+      this.ctx.fill();
+
+      // Exit sign on the floor
+      this.ctx.fillStyle = "white";
+      const fontSize = Math.max(Math.round((far.bottom - far.top) / 5), 8);
+      this.ctx.font = `${fontSize}px monospace`;
+      this.ctx.textAlign = "center";
+      this.ctx.fillText(
+        "EXIT",
+        (far.left + far.right) / 2,
+        (near.bottom + far.bottom) / 2
+      );
+      this.ctx.textAlign = "start";
+    }
+
+    // Mark the middle of the floor of a hinted cell down the corridor
+    drawHintFloor(near, far) {
+      const nearInset = (near.right - near.left) / 3;
+      const farInset = (far.right - far.left) / 3;
+
+      this.ctx.fillStyle = HINT_COLOR;
+      this.ctx.beginPath();
+      this.ctx.moveTo(near.left + nearInset, near.bottom);
+      this.ctx.lineTo(near.right - nearInset, near.bottom);
+      this.ctx.lineTo(far.right - farInset, far.bottom);
+      this.ctx.lineTo(far.left + farInset, far.bottom);
+      this.ctx.closePath();
+      this.ctx.fill();
+    }
+
+    // Draw floor and ceiling background
+    drawFloorAndCeiling() {
+      // Floor (bottom half)
+      this.ctx.fillStyle = "#111111";
+      this.ctx.fillRect(0, 200, this.canvas.width, 200);
+
+      // Ceiling (top half)
+      this.ctx.fillStyle = "#000000";
+      this.ctx.fillRect(0, 0, this.canvas.width, 200);
+
+      // Add perspective grid lines to floor
+      this.ctx.strokeStyle = "#333333";
+      this.ctx.lineWidth = 1;
+      for (let i = 0; i < 5; i++) {
+        const y = 200 + i * 40;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, y);
+        this.ctx.lineTo(this.canvas.width, y);
+        this.ctx.stroke();
+      }
+    }
+
+    // Interpolate between direction vectors for smooth turning
+    interpolateDirection(dirArray, dirIndex, fraction) {
+      if (fraction === 0) return dirArray[dirIndex];
+
+      const nextIndex = (dirIndex + 1) % 4;
+      return (
+        dirArray[dirIndex] * (1 - fraction) + dirArray[nextIndex] * fraction
+      );
+    }
+
+    /**
+     * Draw the minimap with its legend
+     * @param {Object} currentPos - { x, y, direction } of the player, as for
+     *   drawFirstPersonView
+     * @param {string} mapMode - One of MazeExplore.MAP_MODES
+     * @param {number|string} [zoom="auto"] - Cell size in pixels, or "auto"
+     */
+    drawMiniMap(currentPos, mapMode, zoom = "auto") {
+      // The maze is drawn in the map area; the legend has its own strip
+      // underneath so it never covers maze cells
+      const mapWidth = this.minimapCanvas.width;
+      const mapHeight = this.minimapCanvas.height - this.legendHeight;
+
+      // Clear the minimap canvas
+      this.minimapCtx.fillStyle = "black";
+      this.minimapCtx.fillRect(
+        0,
+        0,
+        this.minimapCanvas.width,
+        this.minimapCanvas.height
+      );
+
+      if (mapMode === "none") {
+        this.minimapCtx.font = "12px monospace";
+        this.minimapCtx.fillStyle = "#777";
+        this.minimapCtx.fillText("Map off (press M)", 40, mapHeight / 2);
+        return;
+      }
+
+      // Scale small mazes to fit, scroll larger ones with the player
+      const view = MazeViewport.getViewport({
+        mazeWidth: this.engine.width,
+        mazeHeight: this.engine.height,
+        mapWidth,
+        mapHeight,
+        centerX: currentPos.x,
+        centerY: currentPos.y,
+        zoom
+      });
+      const { cellSize, offsetX, offsetY } = view;
+
+      this.minimapCtx.save();
+      this.minimapCtx.beginPath();
+      this.minimapCtx.rect(0, 0, mapWidth, mapHeight);
+      this.minimapCtx.clip();
+
+      // Draw maze cells, leaving unseen ones dark unless the full map is
+      // shown
+      const showAll = mapMode === "full";
+      for (let y = view.startY; y <= view.endY; y++) {
+        for (let x = view.startX; x <= view.endX; x++) {
+          if (!showAll && !this.engine.explored.has(`${x},${y}`)) continue;
+
+          if (this.engine.maze[y][x] === "#") {
+            this.minimapCtx.fillStyle = "white";
+          } else if (this.engine.maze[y][x] === "E") {
+            this.minimapCtx.fillStyle = "green";
+          } else if (this.engine.maze[y][x] === "K") {
+            this.minimapCtx.fillStyle = "gold";
+          } else if (this.engine.maze[y][x] === "D") {
+            // Doors fade once the key has unlocked them
+            this.minimapCtx.fillStyle = this.engine.hasKey ? "#543" : "#a60";
+          } else if (this.engine.maze[y][x] === "C") {
+            this.minimapCtx.fillStyle = "cyan";
+          } else if (
+            x === Math.floor(currentPos.x) &&
+            y === Math.floor(currentPos.y)
+          ) {
+            // Highlight the current path
+            this.minimapCtx.fillStyle = "#444";
+          } else if (!showAll) {
+            // Seen floor, so the explored area reads as a shape
+            this.minimapCtx.fillStyle = "#222";
+          } else {
+            continue;
+          }
+
+          this.minimapCtx.fillRect(
+            offsetX + x * cellSize,
+            offsetY + y * cellSize,
+            cellSize,
+            cellSize
+          );
+        }
+      }
+
+      // Breadcrumb trail through the centre of each cell walked
+      if (this.engine.trail.length > 1) {
+        this.minimapCtx.strokeStyle = "#c80";
+        this.minimapCtx.lineWidth = Math.max(1, cellSize / 5);
+        this.minimapCtx.beginPath();
+        this.engine.trail.forEach((cell, i) => {
+          const px = offsetX + cell.x * cellSize + cellSize / 2;
+          const py = offsetY + cell.y * cellSize + cellSize / 2;
+          if (i === 0) {
+            this.minimapCtx.moveTo(px, py);
+          } else {
+            this.minimapCtx.lineTo(px, py);
+          }
+        });
+        this.minimapCtx.stroke();
+      }
+
+      // Hinted route ahead, one dot per cell, shown even where the map is
+      // still unexplored
+      if (this.engine.hint) {
+        const dotSize = Math.max(2, cellSize / 2);
+        this.minimapCtx.fillStyle = HINT_COLOR;
+        this.engine.hint.cells.forEach((cell) => {
+          this.minimapCtx.fillRect(
+            offsetX + cell.x * cellSize + (cellSize - dotSize) / 2,
+            offsetY + cell.y * cellSize + (cellSize - dotSize) / 2,
+            dotSize,
+            dotSize
+          );
+        });
+      }
+
+      // Draw player as a directional triangle
+      const directionInt = Math.floor(currentPos.direction);
+      const directionFrac = currentPos.direction - directionInt;
+
+      const dx = [0, 1, 0, -1]; // N, E, S, W
+      const dy = [-1, 0, 1, 0];
+
+      const directionX = this.interpolateDirection(
+        dx,
+        directionInt,
+        directionFrac
+      );
+      const directionY = this.interpolateDirection(
+        dy,
+        directionInt,
+        directionFrac
+      );
+
+      // Draw a triangle to represent the player and direction
+      // Size of the triangle, kept visible when zoomed right out
+      const triangleSize = Math.max(cellSize, 6) * 0.9;
+      const centerX = offsetX + currentPos.x * cellSize + cellSize / 2;
+      const centerY = offsetY + currentPos.y * cellSize + cellSize / 2;
+
+      // Calculate triangle points
+      const frontX = centerX + directionX * triangleSize;
+      const frontY = centerY + directionY * triangleSize;
+
+      // Calculate perpendicular vector for the base of the triangle
+      const perpX = -directionY;
+      const perpY = directionX;
+
+      // Calculate back corners of the triangle
+      const backLeftX =
+        centerX -
+        (directionX * triangleSize) / 3 +
+        (perpX * triangleSize) / 2;
+      const backLeftY =
+        centerY -
+        (directionY * triangleSize) / 3 +
+        (perpY * triangleSize) / 2;
+      const backRightX =
+        centerX -
+        (directionX * triangleSize) / 3 -
+        (perpX * triangleSize) / 2;
+      const backRightY =
+        centerY -
+        (directionY * triangleSize) / 3 -
+        (perpY * triangleSize) / 2;
+
+      // Draw filled triangle
+      this.minimapCtx.fillStyle = "red";
+      this.minimapCtx.beginPath();
+      this.minimapCtx.moveTo(frontX, frontY);
+      this.minimapCtx.lineTo(backLeftX, backLeftY);
+      this.minimapCtx.lineTo(backRightX, backRightY);
+      this.minimapCtx.closePath();
+      this.minimapCtx.fill();
+
+      // Add white outline to make it stand out more
+      this.minimapCtx.strokeStyle = "white";
+      this.minimapCtx.lineWidth = 1;
+      this.minimapCtx.stroke();
+
+      this.minimapCtx.restore();
+
+      // Legend strip below the map
+      const legendTop = mapHeight;
+      this.minimapCtx.strokeStyle = "#444";
+      this.minimapCtx.beginPath();
+      this.minimapCtx.moveTo(0, legendTop + 0.5);
+      this.minimapCtx.lineTo(mapWidth, legendTop + 0.5);
+      this.minimapCtx.stroke();
+
+      this.minimapCtx.font = "12px monospace";
+      this.minimapCtx.fillStyle = "white";
+      this.minimapCtx.fillText("■ Wall", 5, legendTop + 16);
+      this.minimapCtx.fillStyle = "green";
+      this.minimapCtx.fillText("■ Exit", 65, legendTop + 16);
+
+      // Draw triangle symbol in legend
+      this.minimapCtx.fillStyle = "red";
+      this.minimapCtx.beginPath();
+      this.minimapCtx.moveTo(133, legendTop + 6);
+      this.minimapCtx.lineTo(126, legendTop + 15);
+      this.minimapCtx.lineTo(140, legendTop + 15);
+      this.minimapCtx.closePath();
+      this.minimapCtx.fill();
+
+      this.minimapCtx.fillStyle = "white";
+      this.minimapCtx.fillText("You", 145, legendTop + 16);
+
+      // Display current coordinates and zoom
+      const zoomLabel = zoom === "auto" ? "auto" : `${cellSize}px`;
+      this.minimapCtx.font = "11px monospace";
+      this.minimapCtx.fillText(
+        `Position: (${Math.floor(currentPos.x)},${Math.floor(
+          currentPos.y
+        )}) Zoom: ${zoomLabel}`,
+        5,
+        legendTop + 34
+      );
+    }
+  }
+
+  return {
+    GameRenderer,
+  };
+});
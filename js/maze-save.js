@@ -0,0 +1,95 @@
+/**
+ * Saved games
+ *
+ * One autosave slot holding an unfinished run: the maze itself (so random
+ * mazes with no file can be resumed), where the player stands and faces,
+ * the cells visited so far and the session stats.
+ *
+ * Uses a storage backend with the localStorage interface, like MazeScores.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeSave = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const STORAGE_KEY = "mazeSavedGame";
+  const FORMAT_VERSION = 1;
+
+  // Whether a parsed save has everything needed to rebuild the game
+  function isValidSave(save) {
+    if (!save || save.version !== FORMAT_VERSION) return false;
+
+    const maze = save.mazeData;
+    const player = save.player;
+    return (
+      !!maze &&
+      Array.isArray(maze.layout) &&
+      maze.layout.length === maze.height &&
+      maze.layout.every(
+        (row) => Array.isArray(row) && row.length === maze.width
+      ) &&
+      !!player &&
+      player.y >= 0 &&
+      player.y < maze.height &&
+      player.x >= 0 &&
+      player.x < maze.width &&
+      maze.layout[player.y][player.x] !== "#" &&
+      [0, 1, 2, 3].includes(player.direction) &&
+      Array.isArray(save.visited) &&
+      !!save.stats
+    );
+  }
+
+  class SaveSlot {
+    /**
+     * @param {Object} storage - localStorage-like backend
+     * @param {Object} [options]
+     * @param {string} [options.key="mazeSavedGame"] - Storage item name
+     */
+    constructor(storage, options = {}) {
+      this.storage = storage;
+      this.key = options.key || STORAGE_KEY;
+    }
+
+    /**
+     * Store an unfinished run, replacing any earlier one
+     * @param {Object} state
+     * @param {string} state.name - Maze name to offer on the start screen
+     * @param {Object} state.mazeData - Maze in the maze file format
+     * @param {Object} [state.source] - How the maze was opened: { file } or
+     *   the generator settings of a random maze
+     * @param {Object} state.player - { x, y, direction }
+     * @param {Array} state.visited - [x, y] pairs
+     * @param {Object} state.stats - GameSession.toJSON()
+     */
+    save(state) {
+      const save = Object.assign({ version: FORMAT_VERSION }, state, {
+        savedAt: new Date().toISOString(),
+      });
+      this.storage.setItem(this.key, JSON.stringify(save));
+    }
+
+    // The saved run, or null when there is none or it can't be used
+    load() {
+      try {
+        const save = JSON.parse(this.storage.getItem(this.key));
+        return isValidSave(save) ? save : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    // Drop the saved run (e.g. once the maze is finished)
+    clear() {
+      this.storage.removeItem(this.key);
+    }
+  }
+
+  return {
+    SaveSlot,
+    isValidSave,
+  };
+});
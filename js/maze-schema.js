@@ -0,0 +1,456 @@
+/**
+ * Maze file schema, versioning and validation
+ *
+ * SCHEMA is the JSON Schema for the current maze file version; the same
+ * document is published as schema/maze.schema.json for other tools. Older
+ * files are upgraded on load by migrateMaze(), one version at a time, so the
+ * game, editor, tester and Node validator only ever see current files.
+ *
+ * validateMaze() checks a maze against the schema and then against the rules
+ * a schema can't express (layout size, walled edges, reachable exits), and
+ * reports each problem as { path, code, message }, e.g.
+ *
+ *   {
+ *     path: "playerStart.direction",
+ *     code: "enum",
+ *     message: "must be one of 0, 1, 2, 3",
+ *   }
+ *
+ * In the browser, js/maze-format.js and js/maze-solver.js must be loaded
+ * first.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./maze-format"),
+      require("./maze-solver")
+    );
+  } else {
+    root.MazeSchema = factory(root.MazeFormat, root.MazeSolver);
+  }
+})(typeof self !== "undefined" ? self : this, function (
+  MazeFormat,
+  MazeSolver
+) {
+  const CURRENT_VERSION = 3;
+
+  // A layout row stored as a string, with optional repeat counts
+  const CELL_CLASS = MazeFormat.VALID_CELLS.join("");
+  const ROW_PATTERN = `^(?:(?:[1-9][0-9]*)?[${CELL_CLASS}])*$`;
+
+  const SCHEMA = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Maze file",
+    type: "object",
+    required: ["version", "width", "height", "playerStart", "exit", "layout"],
+    properties: {
+      version: { type: "integer", const: CURRENT_VERSION },
+      name: { type: "string" },
+      description: { type: "string" },
+      difficulty: { type: "string" },
+      difficultyScore: { type: "integer", minimum: 0 },
+      tags: { type: "array", items: { type: "string" } },
+      width: { type: "integer", minimum: 3 },
+      height: { type: "integer", minimum: 3 },
+      playerStart: {
+        type: "object",
+        required: ["x", "y", "direction"],
+        properties: {
+          x: { type: "integer", minimum: 0 },
+          y: { type: "integer", minimum: 0 },
+          direction: { type: "integer", enum: [0, 1, 2, 3] },
+        },
+      },
+      exit: {
+        oneOf: [
+          { $ref: "#/definitions/position" },
+          {
+            type: "array",
+            minItems: 1,
+            items: { $ref: "#/definitions/position" },
+          },
+        ],
+      },
+      collectAll: { type: "boolean" },
+      layout: {
+        type: "array",
+        items: {
+          oneOf: [
+            {
+              type: "array",
+              items: { type: "string", enum: MazeFormat.VALID_CELLS },
+            },
+            { type: "string", pattern: ROW_PATTERN },
+          ],
+        },
+      },
+    },
+    definitions: {
+      position: {
+        type: "object",
+        required: ["x", "y"],
+        properties: {
+          x: { type: "integer", minimum: 0 },
+          y: { type: "integer", minimum: 0 },
+        },
+      },
+    },
+  };
+
+  // Error codes meaning the maze can't be opened at all, as opposed to a
+  // layout that loads but breaks a rule (e.g. an unreachable exit)
+  const STRUCTURE_CODES = [
+    "version",
+    "type",
+    "required",
+    "const",
+    "enum",
+    "minimum",
+    "minItems",
+    "pattern",
+    "size",
+  ];
+
+  // Upgrades from each older version to the next one
+  const MIGRATIONS = {
+    // Version 1 files have no version field. Version 2 allows a list of
+    // exits, keys, doors, items and collectAll, none of which a version 1
+    // file uses, so only the version needs adding.
+    1: (maze) => Object.assign({ version: 2 }, maze, { version: 2 }),
+    // Version 3 also allows layout rows stored as strings; array rows are
+    // still valid, so again only the version changes.
+    2: (maze) => Object.assign({}, maze, { version: 3 }),
+  };
+
+  // Version a maze file was written in; files without one are version 1
+  function getVersion(maze) {
+    return maze && maze.version !== undefined ? maze.version : 1;
+  }
+
+  /**
+   * Upgrade a maze file to the current version
+   * @param {Object} maze - Parsed maze file
+   * @returns {Object} The maze in the current format; the argument itself
+   *   is returned when it is already current or its version is unknown
+   *   (validateMaze() reports the latter)
+   */
+  function migrateMaze(maze) {
+    let result = maze;
+    let version = getVersion(maze);
+    while (MIGRATIONS[version]) {
+      result = MIGRATIONS[version](result);
+      version = getVersion(result);
+    }
+    return result;
+  }
+
+  // Property path for error reports: "exit[1].x", "layout[0][3]"
+  function joinPath(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+  }
+
+  function getType(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = getType(value);
+    return actual === type || (type === "number" && actual === "integer");
+  }
+
+  function resolve(schema) {
+    if (!schema.$ref) return schema;
+    const name = schema.$ref.replace("#/definitions/", "");
+    return SCHEMA.definitions[name];
+  }
+
+  // Check a value against the subset of JSON Schema used by SCHEMA, adding
+  // a { path, code, message } entry to errors for each problem
+  function checkSchema(value, schema, path, errors) {
+    schema = resolve(schema);
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map((option) => {
+        const optionErrors = [];
+        checkSchema(value, option, path, optionErrors);
+        return { option: resolve(option), errors: optionErrors };
+      });
+      if (results.some((result) => result.errors.length === 0)) return;
+
+      // Explain the failure in terms of the option of the same type
+      const closest = results.find((result) =>
+        matchesType(value, result.option.type)
+      );
+      if (closest) {
+        errors.push(...closest.errors);
+      } else {
+        const types = results.map((result) => result.option.type).join(" or ");
+        errors.push({ path, code: "type", message: `must be a ${types}` });
+      }
+      return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+      errors.push({
+        path,
+        code: "type",
+        message: `must be ${article} ${schema.type}`,
+      });
+      return;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({
+        path,
+        code: "const",
+        message: `must be ${JSON.stringify(schema.const)}`,
+      });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        path,
+        code: "enum",
+        message: `must be one of ${schema.enum
+          .map((option) => JSON.stringify(option))
+          .join(", ")}`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        code: "pattern",
+        message:
+          "must be a row of cells (# EKDC), each optionally preceded by a " +
+          "repeat count",
+      });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({
+        path,
+        code: "minimum",
+        message: `must be at least ${schema.minimum}`,
+      });
+    }
+
+    if (schema.type === "object") {
+      (schema.required || []).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push({
+            path: joinPath(path, key),
+            code: "required",
+            message: "is required",
+          });
+        }
+      });
+      Object.keys(schema.properties || {}).forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          checkSchema(
+            value[key],
+            schema.properties[key],
+            joinPath(path, key),
+            errors
+          );
+        }
+      });
+    }
+
+    if (schema.type === "array") {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({
+          path,
+          code: "minItems",
+          message: `must have at least ${schema.minItems} item${
+            schema.minItems === 1 ? "" : "s"
+          }`,
+        });
+      }
+      if (schema.items) {
+        value.forEach((item, i) =>
+          checkSchema(item, schema.items, joinPath(path, i), errors)
+        );
+      }
+    }
+  }
+
+  // Rules the schema can't express, for a maze that matches the schema
+  function checkLayout(maze, errors) {
+    const { width, height } = maze;
+    const layout = MazeFormat.decodeLayout(maze.layout);
+    const { WALL, DOOR, KEY, ITEM } = MazeFormat.CELLS;
+
+    if (layout.length !== height) {
+      errors.push({
+        path: "layout",
+        code: "size",
+        message: `has ${layout.length} rows but height is ${height}`,
+      });
+    }
+    layout.forEach((row, y) => {
+      if (row.length !== width) {
+        errors.push({
+          path: joinPath("layout", y),
+          code: "size",
+          message: `has ${row.length} cells but width is ${width}`,
+        });
+      }
+    });
+    if (errors.length > 0) return;
+
+    // Every edge cell must be a wall
+    const edges = [
+      ["top", 0, layout[0]],
+      ["bottom", height - 1, layout[height - 1]],
+    ];
+    edges.forEach(([side, y, row]) => {
+      if (row.some((cell) => cell !== WALL)) {
+        errors.push({
+          path: joinPath("layout", y),
+          code: "boundary",
+          message: `${side} edge must be all walls (#)`,
+        });
+      }
+    });
+    layout.forEach((row, y) => {
+      if (row[0] !== WALL || row[width - 1] !== WALL) {
+        errors.push({
+          path: joinPath("layout", y),
+          code: "boundary",
+          message: "left and right edges must be walls (#)",
+        });
+      }
+    });
+
+    // The start and every exit must be open cells inside the maze
+    const checkCell = (path, { x, y }, label) => {
+      if (x >= width || y >= height) {
+        errors.push({
+          path,
+          code: "bounds",
+          message: `${label} is outside the maze`,
+        });
+      } else if (layout[y][x] === WALL) {
+        errors.push({
+          path,
+          code: "wall",
+          message: `${label} is inside a wall`,
+        });
+      }
+    };
+    checkCell("playerStart", maze.playerStart, "start position");
+    const exits = MazeFormat.getExits(maze);
+    exits.forEach((exit, i) => {
+      const path = Array.isArray(maze.exit) ? joinPath("exit", i) : "exit";
+      checkCell(path, exit, "exit");
+    });
+
+    if (
+      MazeFormat.countCells(layout, DOOR) > 0 &&
+      MazeFormat.countCells(layout, KEY) === 0
+    ) {
+      errors.push({
+        path: "layout",
+        code: "no-key",
+        message: "has doors (D) but no key (K) to open them",
+      });
+    }
+    if (maze.collectAll && MazeFormat.countCells(layout, ITEM) === 0) {
+      errors.push({
+        path: "collectAll",
+        code: "no-items",
+        message: "is set but the layout has no items (C)",
+      });
+    }
+    if (errors.length > 0) return;
+
+    const path = MazeSolver.findShortestPath(
+      MazeFormat.prepareLayout(maze),
+      maze.playerStart,
+      null,
+      { collectAll: !!maze.collectAll }
+    );
+    if (!path) {
+      errors.push({
+        path: "exit",
+        code: "unreachable",
+        message: maze.collectAll
+          ? "can't be reached from the start after collecting every item"
+          : "can't be reached from the start",
+      });
+    }
+  }
+
+  /**
+   * Check a maze file in the current format
+   * @param {Object} maze - Parsed maze file, after migrateMaze()
+   * @returns {Array<Object>} { path, code, message } for each problem;
+   *   empty when the maze is valid
+   */
+  function validateMaze(maze) {
+    const errors = [];
+    const version = getVersion(maze);
+
+    if (typeof version === "number" && version > CURRENT_VERSION) {
+      errors.push({
+        path: "version",
+        code: "version",
+        message:
+          `${version} is newer than the supported version ` +
+          `${CURRENT_VERSION}`,
+      });
+      return errors;
+    }
+
+    checkSchema(maze, SCHEMA, "", errors);
+    if (errors.length === 0) checkLayout(maze, errors);
+    return errors;
+  }
+
+  /**
+   * Upgrade and validate a maze file, as every page does on load
+   * @param {Object} data - Parsed maze file of any version
+   * @returns {Object} { maze, errors, migratedFrom } where maze has its
+   *   layout as arrays of cells however the file stored it, and migratedFrom
+   *   is the file's original version, or null when it was already current
+   */
+  function loadMaze(data) {
+    const version = getVersion(data);
+    const migrated = migrateMaze(data);
+    return {
+      maze:
+        migrated instanceof Object
+          ? Object.assign({}, migrated, {
+              layout: MazeFormat.decodeLayout(migrated.layout),
+            })
+          : migrated,
+      errors: validateMaze(migrated),
+      migratedFrom: migrated !== data ? version : null,
+    };
+  }
+
+  // Whether any of the errors stop the maze being opened, even for editing
+  function hasStructureErrors(errors) {
+    return errors.some((error) => STRUCTURE_CODES.includes(error.code));
+  }
+
+  // One-line description of an error, e.g. "exit[1].x: is required"
+  function formatError(error) {
+    return error.path ? `${error.path}: ${error.message}` : error.message;
+  }
+
+  return {
+    CURRENT_VERSION,
+    SCHEMA,
+    getVersion,
+    migrateMaze,
+    validateMaze,
+    loadMaze,
+    hasStructureErrors,
+    formatError,
+  };
+});
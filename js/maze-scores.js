@@ -0,0 +1,211 @@
+/**
+ * High scores and personal bests
+ *
+ * Keeps the best time and fewest moves for each maze in a storage backend
+ * with the localStorage interface (getItem/setItem/removeItem), so Node
+ * tests can pass an in-memory store instead.
+ *
+ * Mazes are identified by their file (e.g. "file:mazes/medium.json") or, for
+ * random mazes, by the seed, size and generator settings that rebuild them.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeScores = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const STORAGE_KEY = "mazeHighScores";
+  const FORMAT_VERSION = 1;
+
+  /**
+   * Key a maze by its file or by the settings that generate it
+   * @param {Object} source
+   * @param {string} [source.file] - Path of a maze file
+   * @param {number} [source.seed] - Seed of a random maze
+   * @param {number} [source.width]
+   * @param {number} [source.height]
+   * @param {string} [source.algorithm]
+   * @param {number} [source.braid]
+   * @param {number} [source.loops]
+   * @returns {string|null} Score key, or null for mazes that can't be
+   *   identified again (e.g. unsaved editor mazes)
+   */
+  function getScoreKey(source) {
+    if (source.file) return `file:${source.file}`;
+    if (source.seed === undefined || source.seed === null) return null;
+
+    let key = `seed:${source.seed}:${source.width}x${source.height}`;
+    if (source.algorithm) key += `:${source.algorithm}`;
+    if (source.braid) key += `:braid=${source.braid}`;
+    if (source.loops) key += `:loops=${source.loops}`;
+    return key;
+  }
+
+  // A storage backend that only lives as long as the page or process
+  function createMemoryStorage() {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    };
+  }
+
+  // localStorage when the browser allows it, otherwise memory
+  function getDefaultStorage() {
+    try {
+      const storage = localStorage;
+      const probe = `${STORAGE_KEY}-probe`;
+      storage.setItem(probe, probe);
+      storage.removeItem(probe);
+      return storage;
+    } catch (error) {
+      return createMemoryStorage();
+    }
+  }
+
+  // Whether an entry has the fields a score table needs
+  function isValidEntry(entry) {
+    return (
+      entry !== null &&
+      typeof entry === "object" &&
+      typeof entry.bestTime === "number" &&
+      typeof entry.fewestMoves === "number" &&
+      entry.bestTime >= 0 &&
+      entry.fewestMoves >= 0
+    );
+  }
+
+  class ScoreBoard {
+    /**
+     * @param {Object} [storage] - localStorage-like backend
+     * @param {Object} [options]
+     * @param {string} [options.key="mazeHighScores"] - Storage item name
+     */
+    constructor(storage, options = {}) {
+      this.storage = storage || createMemoryStorage();
+      this.key = options.key || STORAGE_KEY;
+    }
+
+    // Every entry, keyed by score key; unreadable data counts as empty
+    getAll() {
+      try {
+        const scores = JSON.parse(this.storage.getItem(this.key) || "{}");
+        return scores && typeof scores === "object" ? scores : {};
+      } catch (error) {
+        return {};
+      }
+    }
+
+    // Entry for one maze, or null if it hasn't been finished
+    get(key) {
+      return this.getAll()[key] || null;
+    }
+
+    /**
+     * Record a finished run
+     * @param {string} key - Score key from getScoreKey
+     * @param {Object} stats - Session stats with elapsed and moves
+     * @param {string} [name] - Maze name to show with the score
+     * @returns {Object} The updated entry plus isBestTime/isFewestMoves
+     *   flags saying which records the run set
+     */
+    record(key, stats, name) {
+      const scores = this.getAll();
+      const previous = scores[key];
+
+      const isBestTime = !previous || stats.elapsed < previous.bestTime;
+      const isFewestMoves = !previous || stats.moves < previous.fewestMoves;
+
+      const entry = {
+        name: name || (previous && previous.name) || key,
+        bestTime: isBestTime ? stats.elapsed : previous.bestTime,
+        fewestMoves: isFewestMoves ? stats.moves : previous.fewestMoves,
+        completions: ((previous && previous.completions) || 0) + 1,
+      };
+
+      scores[key] = entry;
+      this.save(scores);
+
+      return Object.assign({}, entry, {
+        isBestTime,
+        isFewestMoves,
+      });
+    }
+
+    // Score table as a JSON document for sharing between players
+    exportJSON() {
+      return JSON.stringify(
+        { version: FORMAT_VERSION, scores: this.getAll() },
+        null,
+        2
+      );
+    }
+
+    /**
+     * Merge an exported score table, keeping the better value of each record
+     * @param {string} json - Output of exportJSON
+     * @returns {number} How many mazes the file had scores for
+     */
+    importJSON(json) {
+      let data;
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Score file is not valid JSON: ${error.message}`);
+      }
+      if (!data || typeof data.scores !== "object" || data.scores === null) {
+        throw new Error("Score file has no scores table");
+      }
+
+      const scores = this.getAll();
+      const imported = Object.keys(data.scores);
+
+      for (const key of imported) {
+        const entry = data.scores[key];
+        if (!isValidEntry(entry)) {
+          throw new Error(`Score entry "${key}" is missing times or moves`);
+        }
+
+        const current = scores[key];
+        scores[key] = current
+          ? {
+              name: current.name || entry.name,
+              bestTime: Math.min(current.bestTime, entry.bestTime),
+              fewestMoves: Math.min(current.fewestMoves, entry.fewestMoves),
+              completions: Math.max(
+                current.completions || 0,
+                entry.completions || 0
+              ),
+            }
+          : {
+              name: entry.name || key,
+              bestTime: entry.bestTime,
+              fewestMoves: entry.fewestMoves,
+              completions: entry.completions || 0,
+            };
+      }
+
+      this.save(scores);
+      return imported.length;
+    }
+
+    // Forget every score
+    clear() {
+      this.storage.removeItem(this.key);
+    }
+
+    save(scores) {
+      this.storage.setItem(this.key, JSON.stringify(scores));
+    }
+  }
+
+  return {
+    ScoreBoard,
+    getScoreKey,
+    createMemoryStorage,
+    getDefaultStorage,
+  };
+});
@@ -0,0 +1,127 @@
+/**
+ * Game session statistics
+ *
+ * Tracks one attempt at a maze: elapsed time, moves, turns, wall bumps,
+ * hints used out of the run's allowance and whether the exit was reached,
+ * plus the optimal route length to compare against once the maze is
+ * complete.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeSession = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Hints a player gets for one run unless the game asks for another number
+  const HINT_BUDGET = 3;
+
+  class GameSession {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.optimalLength=-1] - Moves on the shortest
+     *   route from start to exit (-1 when unknown)
+     * @param {number} [options.hintBudget=3] - Hints allowed for the run
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     * @param {Object} [options.resume] - Stats from toJSON() to carry on from
+     */
+    constructor(options = {}) {
+      const resume = options.resume || {};
+      this.now = options.now || Date.now;
+      this.optimalLength =
+        options.optimalLength !== undefined ? options.optimalLength : -1;
+      this.startTime = this.now() - (resume.elapsed || 0);
+      this.endTime = null;
+      this.moves = resume.moves || 0;
+      this.turns = resume.turns || 0;
+      this.bumps = resume.bumps || 0;
+      this.hintBudget =
+        options.hintBudget !== undefined ? options.hintBudget : HINT_BUDGET;
+      this.hintsUsed = resume.hintsUsed || 0;
+    }
+
+    get completed() {
+      return this.endTime !== null;
+    }
+
+    // A step forward, backward or sideways into an open cell
+    recordMove() {
+      if (!this.completed) this.moves++;
+    }
+
+    // A turn on the spot: a quarter left or right, or all the way round
+    recordTurn() {
+      if (!this.completed) this.turns++;
+    }
+
+    // A move that was blocked by a wall
+    recordBump() {
+      if (!this.completed) this.bumps++;
+    }
+
+    // Hints still to spend on this run
+    getHintsLeft() {
+      return Math.max(this.hintBudget - this.hintsUsed, 0);
+    }
+
+    /**
+     * Spend a hint
+     * @returns {boolean} false when none are left or the run is over
+     */
+    recordHint() {
+      if (this.completed || this.getHintsLeft() === 0) return false;
+      this.hintsUsed++;
+      return true;
+    }
+
+    // Stop the clock when the exit is reached
+    complete() {
+      if (!this.completed) this.endTime = this.now();
+    }
+
+    // Milliseconds since the session started, frozen once complete
+    getElapsed() {
+      return (this.completed ? this.endTime : this.now()) - this.startTime;
+    }
+
+    // Snapshot of the session for display or storage
+    getStats() {
+      return {
+        elapsed: this.getElapsed(),
+        moves: this.moves,
+        turns: this.turns,
+        bumps: this.bumps,
+        hintsUsed: this.hintsUsed,
+        hintBudget: this.hintBudget,
+        optimalLength: this.optimalLength,
+        completed: this.completed,
+      };
+    }
+
+    // Counters and elapsed time for saving an unfinished run
+    toJSON() {
+      return {
+        elapsed: this.getElapsed(),
+        moves: this.moves,
+        turns: this.turns,
+        bumps: this.bumps,
+        hintsUsed: this.hintsUsed,
+      };
+    }
+  }
+
+  // Format milliseconds as m:ss
+  function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds < 10 ? "0" : ""}${seconds}`;
+  }
+
+  return {
+    HINT_BUDGET,
+    GameSession,
+    formatTime,
+  };
+});
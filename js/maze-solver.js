@@ -0,0 +1,176 @@
+/**
+ * Shortest-path search
+ *
+ * Breadth-first search over the open cells of a layout. Used to tell the
+ * player how short the best route was and to estimate maze difficulty.
+ *
+ * Works on any layout of '#' walls and open cells; every 'E' cell counts as
+ * an exit. Doors ('D') can only be passed once a key ('K') has been picked
+ * up, and with `collectAll` the route must also pass every item ('C').
+ * Collect-all routes are only guaranteed shortest for up to
+ * MAX_TRACKED_ITEMS items; with more, the route walks to the nearest item
+ * still needed each time, which always finishes when the maze can be
+ * finished but may be longer than necessary.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeSolver = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DIRECTIONS = [
+    { dx: 0, dy: -1 }, // Up
+    { dx: 1, dy: 0 }, // Right
+    { dx: 0, dy: 1 }, // Down
+    { dx: -1, dy: 0 }, // Left
+  ];
+
+  // Largest number of items a collect-all search tracks in one search;
+  // every extra item doubles the states searched
+  const MAX_TRACKED_ITEMS = 8;
+
+  // Whether (x, y) is inside the layout and not a wall
+  function isOpen(maze, x, y) {
+    return (
+      y >= 0 &&
+      y < maze.length &&
+      x >= 0 &&
+      x < maze[y].length &&
+      maze[y][x] !== "#"
+    );
+  }
+
+  // Bit for each item cell, keyed by "x,y"
+  function indexItems(maze) {
+    const items = new Map();
+    maze.forEach((row, y) =>
+      row.forEach((cell, x) => {
+        if (cell === "C") items.set(`${x},${y}`, 1 << items.size);
+      })
+    );
+    return items;
+  }
+
+  /**
+   * Breadth-first search from one cell, tracking the key and the items in
+   * `items` picked up on the way
+   * @returns {Object|null} { path, hasKey } for the first state where every
+   *   item in `items` is held and goal(x, y) holds, or null
+   */
+  function search(maze, start, goal, items, hasKey) {
+    const allItems = (1 << items.size) - 1;
+
+    // Picking up whatever lies on a cell
+    const enter = (x, y, hasKey, collected) => ({
+      x,
+      y,
+      hasKey: hasKey || maze[y][x] === "K",
+      collected: collected | (items.get(`${x},${y}`) || 0),
+    });
+    const stateKey = (s) => `${s.x},${s.y},${s.hasKey ? 1 : 0},${s.collected}`;
+
+    const first = enter(start.x, start.y, hasKey, 0);
+    const previous = new Map([[stateKey(first), null]]);
+    const queue = [first];
+
+    for (let i = 0; i < queue.length; i++) {
+      const state = queue[i];
+
+      if (state.collected === allItems && goal(state.x, state.y)) {
+        // Walk back to the start to recover the route
+        const path = [];
+        for (let s = state; s; s = previous.get(stateKey(s))) {
+          path.unshift({ x: s.x, y: s.y });
+        }
+        return { path, hasKey: state.hasKey };
+      }
+
+      for (const dir of DIRECTIONS) {
+        const x = state.x + dir.dx;
+        const y = state.y + dir.dy;
+        if (!isOpen(maze, x, y)) continue;
+        if (maze[y][x] === "D" && !state.hasKey) continue;
+
+        const next = enter(x, y, state.hasKey, state.collected);
+        const key = stateKey(next);
+        if (!previous.has(key)) {
+          previous.set(key, state);
+          queue.push(next);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Route past too many items to track at once: walk to the nearest item
+  // still needed until there are none left, then to the nearest goal.
+  // Picking up the key only opens more of the maze, so this fails only when
+  // an item or every goal can't be reached.
+  function findRouteThroughItems(maze, start, goal, items) {
+    const remaining = new Set(items.keys());
+    const route = [{ x: start.x, y: start.y }];
+    let hasKey = false;
+
+    const walk = (isTarget) => {
+      const here = route[route.length - 1];
+      const leg = search(maze, here, isTarget, new Map(), hasKey);
+      if (!leg) return false;
+      leg.path.slice(1).forEach((cell) => route.push(cell));
+      leg.path.forEach((cell) => remaining.delete(`${cell.x},${cell.y}`));
+      hasKey = leg.hasKey;
+      return true;
+    };
+
+    remaining.delete(`${start.x},${start.y}`);
+    while (remaining.size > 0) {
+      if (!walk((x, y) => remaining.has(`${x},${y}`))) return null;
+    }
+    return walk(goal) ? route : null;
+  }
+
+  /**
+   * Find the shortest route from a start cell to the nearest goal.
+   *
+   * The search tracks whether a key is held and, with `collectAll`, which
+   * items have been picked up, so a route may double back on itself.
+   *
+   * @param {Array} maze - Layout to search
+   * @param {Object} start - Start cell { x, y }
+   * @param {Function} [isGoal] - isGoal(x, y); defaults to any 'E' cell
+   * @param {Object} [options]
+   * @param {boolean} [options.collectAll=false] - Only finish once every
+   *   item has been picked up
+   * @returns {Array|null} Cells from start to goal inclusive, or null when no
+   *   goal can be reached. With collectAll and more than MAX_TRACKED_ITEMS
+   *   items the route goes to the nearest item each time and may not be
+   *   the shortest.
+   */
+  function findShortestPath(maze, start, isGoal, options = {}) {
+    const goal = isGoal || ((x, y) => maze[y][x] === "E");
+    if (!isOpen(maze, start.x, start.y)) return null;
+
+    const items = options.collectAll ? indexItems(maze) : new Map();
+    if (items.size > MAX_TRACKED_ITEMS) {
+      return findRouteThroughItems(maze, start, goal, items);
+    }
+
+    const found = search(maze, start, goal, items, false);
+    return found ? found.path : null;
+  }
+
+  // Number of moves on the shortest route to an exit, or -1 when none can be
+  // reached
+  function getSolutionLength(maze, start, isGoal, options) {
+    const path = findShortestPath(maze, start, isGoal, options);
+    return path ? path.length - 1 : -1;
+  }
+
+  return {
+    MAX_TRACKED_ITEMS,
+    findShortestPath,
+    getSolutionLength,
+  };
+});
@@ -0,0 +1,127 @@
+/**
+ * Minimap viewport
+ *
+ * Decides how big each maze cell is on the minimap and which part of the
+ * maze is on screen. Small mazes are scaled to fit the whole map; larger
+ * ones (or any maze once zoomed in) scroll to keep the player centred,
+ * without scrolling past the edge of the maze.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MazeViewport = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Cell sizes in pixels, smallest (most zoomed out) first
+  const ZOOM_LEVELS = [3, 4, 6, 8, 10, 14, 20];
+
+  // Smallest cell size still worth fitting a whole maze at; below this the
+  // map follows the player at FOLLOW_CELL_SIZE instead
+  const MIN_FIT_CELL_SIZE = 6;
+  const FOLLOW_CELL_SIZE = 8;
+
+  // Cell size for the "auto" zoom: fit the maze when it stays readable
+  function getAutoCellSize(mazeWidth, mazeHeight, mapWidth, mapHeight) {
+    const fit = Math.floor(
+      Math.min(mapWidth / mazeWidth, mapHeight / mazeHeight)
+    );
+    if (fit >= MIN_FIT_CELL_SIZE) {
+      return Math.min(fit, ZOOM_LEVELS[ZOOM_LEVELS.length - 1]);
+    }
+    return FOLLOW_CELL_SIZE;
+  }
+
+  /**
+   * Step to the next zoom level in or out
+   * @param {number} cellSize - Current cell size
+   * @param {number} step - +1 to zoom in, -1 to zoom out
+   * @returns {number} New cell size (unchanged at either end)
+   */
+  function getNextZoom(cellSize, step) {
+    if (step > 0) {
+      const larger = ZOOM_LEVELS.find((size) => size > cellSize);
+      return larger !== undefined ? larger : cellSize;
+    }
+    const smaller = ZOOM_LEVELS.filter((size) => size < cellSize).pop();
+    return smaller !== undefined ? smaller : cellSize;
+  }
+
+  // Offset along one axis: centre a maze that fits, otherwise follow the
+  // player and stop at the maze edges
+  function getOffset(mazeCells, mapPixels, cellSize, center) {
+    const mazePixels = mazeCells * cellSize;
+    if (mazePixels <= mapPixels) {
+      return Math.floor((mapPixels - mazePixels) / 2);
+    }
+    const follow = mapPixels / 2 - (center + 0.5) * cellSize;
+    return Math.max(mapPixels - mazePixels, Math.min(0, follow));
+  }
+
+  /**
+   * Work out the visible part of the maze
+   *
+   * @param {Object} options
+   * @param {number} options.mazeWidth - Maze size in cells
+   * @param {number} options.mazeHeight
+   * @param {number} options.mapWidth - Map area in pixels
+   * @param {number} options.mapHeight
+   * @param {number} options.centerX - Cell to keep centred (may be
+   *   fractional while animating)
+   * @param {number} options.centerY
+   * @param {number|string} [options.zoom="auto"] - Cell size, or "auto"
+   * @returns {Object} { cellSize, offsetX, offsetY, startX, startY, endX,
+   *   endY }: pixel position of cell (x, y) is (offsetX + x * cellSize,
+   *   offsetY + y * cellSize), and cells startX..endX, startY..endY
+   *   (inclusive) are at least partly on the map
+   */
+  function getViewport(options) {
+    const zoom = options.zoom === undefined ? "auto" : options.zoom;
+    const cellSize =
+      zoom === "auto"
+        ? getAutoCellSize(
+            options.mazeWidth,
+            options.mazeHeight,
+            options.mapWidth,
+            options.mapHeight
+          )
+        : zoom;
+
+    const offsetX = getOffset(
+      options.mazeWidth,
+      options.mapWidth,
+      cellSize,
+      options.centerX
+    );
+    const offsetY = getOffset(
+      options.mazeHeight,
+      options.mapHeight,
+      cellSize,
+      options.centerY
+    );
+
+    return {
+      cellSize,
+      offsetX,
+      offsetY,
+      startX: Math.max(0, Math.floor(-offsetX / cellSize)),
+      startY: Math.max(0, Math.floor(-offsetY / cellSize)),
+      endX: Math.min(
+        options.mazeWidth - 1,
+        Math.ceil((options.mapWidth - offsetX) / cellSize) - 1
+      ),
+      endY: Math.min(
+        options.mazeHeight - 1,
+        Math.ceil((options.mapHeight - offsetY) / cellSize) - 1
+      ),
+    };
+  }
+
+  return {
+    ZOOM_LEVELS,
+    getAutoCellSize,
+    getNextZoom,
+    getViewport,
+  };
+});
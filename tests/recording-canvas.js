@@ -0,0 +1,146 @@
+/**
+ * Recording canvas for the rendering tests
+ *
+ * A stand-in for a canvas element and its 2D context that draws nothing but
+ * keeps every call made on it, with the styles that decide what the call
+ * looks like (the fill colour for fillRect, the font and alignment for
+ * fillText, and so on). Calls are written out one per line with numbers
+ * rounded to two decimals, so a snapshot only changes when the drawing does.
+ */
+
+// Styles that affect each kind of call
+const CALL_STYLES = {
+  fillRect: ['fillStyle'],
+  strokeRect: ['strokeStyle', 'lineWidth'],
+  fill: ['fillStyle'],
+  stroke: ['strokeStyle', 'lineWidth'],
+  fillText: ['fillStyle', 'font', 'textAlign']
+};
+
+const STYLE_NAMES = ['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign'];
+
+function formatValue(value) {
+  return typeof value === 'number' ? String(Math.round(value * 100) / 100) : JSON.stringify(value);
+}
+
+class RecordingContext {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.calls = [];
+    this.savedStyles = [];
+
+    // The browser's defaults
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+  }
+
+  record(name, args) {
+    const styles = {};
+    (CALL_STYLES[name] || []).forEach(style => {
+      styles[style] = this[style];
+    });
+    this.calls.push({ name, args, styles });
+  }
+
+  fillRect(x, y, width, height) {
+    this.record('fillRect', [x, y, width, height]);
+  }
+
+  strokeRect(x, y, width, height) {
+    this.record('strokeRect', [x, y, width, height]);
+  }
+
+  clearRect(x, y, width, height) {
+    this.record('clearRect', [x, y, width, height]);
+  }
+
+  rect(x, y, width, height) {
+    this.record('rect', [x, y, width, height]);
+  }
+
+  beginPath() {
+    this.record('beginPath', []);
+  }
+
+  moveTo(x, y) {
+    this.record('moveTo', [x, y]);
+  }
+
+  lineTo(x, y) {
+    this.record('lineTo', [x, y]);
+  }
+
+  closePath() {
+    this.record('closePath', []);
+  }
+
+  fill() {
+    this.record('fill', []);
+  }
+
+  stroke() {
+    this.record('stroke', []);
+  }
+
+  clip() {
+    this.record('clip', []);
+  }
+
+  fillText(text, x, y) {
+    this.record('fillText', [text, x, y]);
+  }
+
+  save() {
+    const styles = {};
+    STYLE_NAMES.forEach(style => {
+      styles[style] = this[style];
+    });
+    this.savedStyles.push(styles);
+    this.record('save', []);
+  }
+
+  restore() {
+    Object.assign(this, this.savedStyles.pop());
+    this.record('restore', []);
+  }
+
+  // Forget what has been drawn so far
+  reset() {
+    this.calls = [];
+  }
+
+  /**
+   * The calls so far, one line each, e.g.
+   * 'fillRect(0, 200, 640, 200) fillStyle="#111111"'
+   * @returns {Array<string>}
+   */
+  toLines() {
+    return this.calls.map(call => {
+      const args = call.args.map(formatValue).join(', ');
+      const styles = Object.keys(call.styles).map(style => ` ${style}=${formatValue(call.styles[style])}`).join('');
+      return `${call.name}(${args})${styles}`;
+    });
+  }
+}
+
+/**
+ * A canvas whose 2D context records what is drawn on it
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} { width, height, getContext() }; the context is also
+ *   available as `context`
+ */
+function createRecordingCanvas(width, height) {
+  const canvas = { width, height };
+  canvas.context = new RecordingContext(canvas);
+  canvas.getContext = () => canvas.context;
+  return canvas;
+}
+
+module.exports = {
+  RecordingContext,
+  createRecordingCanvas
+};
@@ -5,9 +5,30 @@
  */
 
 const path = require('path');
-const { validateAllMazes } = require('./validate-maze');
+const { validateMaze } = require('./validate-maze');
 const { testRendering } = require('./test-rendering');
 const { testMazeGeneration } = require('./test-maze-generator');
+const { testMazeAlgorithms } = require('./test-maze-algorithms');
+const { testMazeBraid } = require('./test-maze-braid');
+const { testMazeGen } = require('./test-maze-gen');
+const { testMazeIndex } = require('./test-maze-index');
+const { testMazeFormat } = require('./test-maze-format');
+const { testMazeSchema } = require('./test-maze-schema');
+const { testMazeConvert } = require('./test-maze-convert');
+const { testMazeExport } = require('./test-maze-export');
+const { testMazeHistory } = require('./test-maze-history');
+const { testMazeRegion } = require('./test-maze-region');
+const { testMazeFill } = require('./test-maze-fill');
+const { testMazeSolver } = require('./test-maze-solver');
+const { testMazeAnalysis } = require('./test-maze-analysis');
+const { testMazeSession } = require('./test-maze-session');
+const { testMazeScores } = require('./test-maze-scores');
+const { testMazeSave } = require('./test-maze-save');
+const { testMazeExplore } = require('./test-maze-explore');
+const { testMazeEngine } = require('./test-maze-engine');
+const { testMazeViewport } = require('./test-maze-viewport');
+const { testMazeAgents } = require('./test-maze-agents');
+const { testMazeControls } = require('./test-maze-controls');
 
 // Set up for coloring console output
 const colors = {
@@ -68,7 +89,8 @@ async function runAllTests() {
           let invalidCount = 0;
           
           const files = require('fs').readdirSync(mazeDir);
-          const jsonFiles = files.filter(file => file.endsWith('.json'));
+          // index.json is the maze manifest, not a maze
+          const jsonFiles = files.filter(file => file.endsWith('.json') && file !== 'index.json');
           
           console.log(`Found ${jsonFiles.length} maze files in ${mazeDir}\n`);
           
@@ -100,6 +122,27 @@ async function runAllTests() {
       });
     }},
     { name: 'Maze Generation', fn: testMazeGeneration },
+    { name: 'Maze Algorithms', fn: testMazeAlgorithms },
+    { name: 'Maze Braiding', fn: testMazeBraid },
+    { name: 'Maze-gen CLI', fn: testMazeGen },
+    { name: 'Maze Manifest', fn: testMazeIndex },
+    { name: 'Maze Format', fn: testMazeFormat },
+    { name: 'Maze Schema', fn: testMazeSchema },
+    { name: 'Maze Converter', fn: testMazeConvert },
+    { name: 'Import and Export', fn: testMazeExport },
+    { name: 'Editor History', fn: testMazeHistory },
+    { name: 'Regions and Transforms', fn: testMazeRegion },
+    { name: 'Fill with Maze', fn: testMazeFill },
+    { name: 'Maze Solver', fn: testMazeSolver },
+    { name: 'Maze Analysis', fn: testMazeAnalysis },
+    { name: 'Game Session', fn: testMazeSession },
+    { name: 'High Scores', fn: testMazeScores },
+    { name: 'Saved Games', fn: testMazeSave },
+    { name: 'Exploration', fn: testMazeExplore },
+    { name: 'Minimap Viewport', fn: testMazeViewport },
+    { name: 'Game Engine', fn: testMazeEngine },
+    { name: 'Solver Agents', fn: testMazeAgents },
+    { name: 'Game Controls', fn: testMazeControls },
     { name: 'Rendering', fn: testRendering }
   ];
   
@@ -128,38 +171,6 @@ async function runAllTests() {
   }
 }
 
-// Helper function for maze validation within the runner
-function validateMaze(maze, filePath) {
-  const errors = [];
-  const fileName = path.basename(filePath);
-  const mazeSchema = {
-    required: ['width', 'height', 'playerStart', 'exit', 'layout'],
-    playerStartRequired: ['x', 'y', 'direction'],
-    exitRequired: ['x', 'y'],
-    validCells: ['#', ' ', 'E']
-  };
-
-  // Check required properties
-  for (const prop of mazeSchema.required) {
-    if (!maze.hasOwnProperty(prop)) {
-      errors.push(`Missing required property: ${prop}`);
-    }
-  }
-
-  // Basic validation only for runner
-  if (errors.length === 0) {
-    console.log(`✅ ${fileName}: Maze file structure is valid`);
-  } else {
-    console.error(`❌ ${fileName}: Maze file has ${errors.length} validation issues:`);
-    errors.forEach(err => console.error(`  - ${err}`));
-  }
-
-  return {
-    success: errors.length === 0,
-    errors
-  };
-}
-
 // Run all tests when this script is executed directly
 if (require.main === module) {
   runAllTests().catch(err => {
@@ -0,0 +1,208 @@
+/**
+ * Tests for the solver agents and the maze-solve report
+ *
+ * This script lets each agent play small hand-made mazes and every bundled
+ * maze through the game engine, checking that they only use the player's
+ * commands, which mazes each can solve, that the shortest-path agent takes
+ * the shortest route, and that agents give up or stop at the step limit
+ * when there is no way out. It also checks the maze-solve command-line
+ * report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS, GameEngine } = require('../js/maze-engine');
+const { listAgents, getAgent, createAgent, AgentRun, runAgent } = require('../js/maze-agents');
+const { parseArgs, solveMaze, formatTable, main } = require('../bin/maze-solve');
+
+/**
+ * Run solver agent tests
+ */
+function testMazeAgents() {
+  try {
+    console.log('Testing solver agents...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const ids = listAgents().map(agent => agent.id);
+    const mazeData = (rows, playerStart) => ({
+      version: 2,
+      name: 'Test',
+      width: rows[0].length,
+      height: rows.length,
+      playerStart,
+      exit: { x: 0, y: 0 },
+      layout: rows.map(row => row.split(''))
+    });
+    const play = (data, id, options) => {
+      const engine = new GameEngine({ mazeData: data, now: () => 0 });
+      const commands = [];
+      const agent = createAgent(id);
+      const recording = {
+        nextCommand: current => {
+          const command = agent.nextCommand(current);
+          if (command) commands.push(command);
+          return command;
+        }
+      };
+      return Object.assign(runAgent(engine, recording, options), { engine, commands });
+    };
+
+    check(same(ids, ['left-hand', 'right-hand', 'tremaux', 'shortest']), 'Lists the wall followers, Trémaux and shortest path');
+    let caught = '';
+    try {
+      getAgent('random');
+    } catch (err) {
+      caught = err.message;
+    }
+    check(caught.startsWith('Unknown solver agent "random"'), 'Rejects an unknown agent');
+
+    // A fork: the exit is down the right-hand branch
+    const fork = mazeData([
+      '#######',
+      '#     #',
+      '# ### #',
+      '# # #E#',
+      '#######'
+    ], { x: 3, y: 1, direction: 0 });
+    const runs = ids.map(id => play(fork, id));
+    check(runs.every(run => run.solved && run.bumps === 0), 'Every agent finds the exit without walking into walls');
+    check(
+      runs.every(run => run.commands.every(command => Object.values(COMMANDS).includes(command)) &&
+        run.steps === run.commands.length && run.steps === run.moves + run.turns),
+      'Agents play with the same commands as a player'
+    );
+    check(runs[0].moves > runs[1].moves, 'The left hand explores the other branch first');
+
+    // Bundled mazes
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const files = fs.readdirSync(mazeDir).filter(file => file.endsWith('.json') && file !== 'index.json');
+    const results = {};
+    files.forEach(file => {
+      const data = JSON.parse(fs.readFileSync(path.join(mazeDir, file), 'utf8'));
+      results[file] = ids.map(id => play(data, id));
+    });
+    const byAgent = index => files.filter(file => !results[file][index].solved);
+    check(byAgent(2).length === 0, 'Trémaux solves every bundled maze');
+    check(
+      byAgent(3).length === 0 &&
+        files.every(file => results[file][3].moves === results[file][3].engine.session.optimalLength),
+      'The shortest-path agent takes the shortest route through every bundled maze'
+    );
+    check(
+      same(byAgent(0), ['spiral.json']) && same(byAgent(1), ['spiral.json']),
+      'Wall followers get lost only where the exit is away from the outer wall'
+    );
+
+    // Replanning and giving up
+    const corridor = mazeData(['#######', '#    E#', '#######'], { x: 3, y: 1, direction: 1 });
+    const strayed = new GameEngine({ mazeData: corridor, now: () => 0 });
+    const shortest = createAgent('shortest');
+    shortest.nextCommand(strayed);
+    strayed.moveBackward();
+    strayed.moveBackward();
+    check(runAgent(strayed, shortest).solved && strayed.session.moves === 6, 'The shortest-path agent replans after straying');
+
+    const closed = mazeData(['#####', '#   #', '# # #', '#   #', '#####'], { x: 1, y: 1, direction: 0 });
+    const trapped = play(closed, 'tremaux');
+    check(!trapped.solved && trapped.steps < 100 && trapped.engine.visited.size === 8, 'Trémaux gives up once every passage is walked twice');
+    const circling = play(closed, 'left-hand', { maxSteps: 50 });
+    check(!circling.solved && circling.steps === 50, 'Stops an agent at the step limit');
+
+    // Watching one command at a time, and taking over from a lost agent
+    const watched = new GameEngine({ mazeData: corridor, now: () => 0 });
+    const watchedRun = new AgentRun(watched, createAgent('shortest'));
+    while (watchedRun.step());
+    check(watchedRun.solved && watchedRun.steps === 2 && !watchedRun.gaveUp, 'A watched agent that reaches the exit solved it');
+    const takenOver = new GameEngine({ mazeData: corridor, now: () => 0 });
+    takenOver.moveBackward();
+    const lostRun = new AgentRun(takenOver, createAgent('shortest'), { maxSteps: 1 });
+    const stepped = [lostRun.step(), lostRun.step()];
+    takenOver.moveForward();
+    takenOver.moveForward();
+    check(
+      same(stepped, [true, false]) && lostRun.gaveUp && takenOver.isComplete && !lostRun.solved && !lostRun.step(),
+      'A player who takes over from a lost agent gets the credit for the exit'
+    );
+
+    // The maze-solve report
+    const options = parseArgs(['--agent', 'tremaux', '--agent', 'shortest', '--json', 'mazes/tiny.json']);
+    check(
+      same(options.agents, ['tremaux', 'shortest']) && options.json && same(options.files, ['mazes/tiny.json']) &&
+        same(parseArgs([]).agents, ids),
+      'Parses agents, output format and files, running every agent by default'
+    );
+    const throws = args => {
+      try {
+        parseArgs(args);
+        return false;
+      } catch (err) {
+        return true;
+      }
+    };
+    check(throws(['--agent', 'random']) && throws(['--max-steps', '0']) && throws(['--fast']), 'Rejects unknown agents and options');
+    const report = solveMaze(closed, ['tremaux', 'shortest'], { maxSteps: 500 });
+    check(
+      report.length === 2 && report[0].agent === 'tremaux' && !report[0].solved && !report[1].solved,
+      'Reports each agent for a maze'
+    );
+    const table = formatTable([
+      { file: 'fork.json', results: solveMaze(fork, ['left-hand', 'right-hand']) },
+      { file: 'closed.json', results: solveMaze(closed, ['left-hand', 'right-hand'], { maxSteps: 50 }) }
+    ], ['left-hand', 'right-hand']).split('\n');
+    check(
+      table.length === 3 && /^Maze\s+left-hand\s+right-hand$/.test(table[0]) &&
+        /^fork\.json\s+\d+\s+\d+$/.test(table[1]) && /^closed\.json\s+lost\s+lost$/.test(table[2]),
+      'Prints commands taken per agent, and "lost" when no exit was reached'
+    );
+
+    const output = [];
+    const errors = [];
+    const { log, error } = console;
+    console.log = message => output.push(message);
+    console.error = message => errors.push(message);
+    let code;
+    try {
+      code = main(['--agent', 'shortest', '--json', path.join(__dirname, 'missing.json'), path.join(__dirname, '..', 'mazes', 'tiny.json')]);
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+    check(
+      code === 1 && errors.length === 1 && errors[0].startsWith('Not solving ') &&
+        JSON.parse(output[0]).map(entry => entry.file).join() === 'tiny.json',
+      'Reports a maze it cannot read and solves the rest'
+    );
+
+    console.log(`\nSolver agent test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Solver agent test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeAgents()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeAgents
+};
@@ -0,0 +1,140 @@
+/**
+ * Tests for the pluggable maze generation algorithms
+ *
+ * This script checks that every registered algorithm produces mazes that
+ * follow the same layout contract as the hand-made maze files: walls on the
+ * boundary, start at (1,1), an 'E' exit at (width-2,height-2) and a path
+ * between them.
+ */
+
+const { generateMaze, listAlgorithms } = require('../js/maze-generator');
+const { isMazeValid, isMazeSolvable } = require('./test-maze-generator');
+const { validateMaze } = require('./validate-maze');
+
+/**
+ * Check whether the open cells of an odd-sized maze form a tree
+ * (connected with no loops), which every algorithm except the
+ * depth-first path carver guarantees
+ * @param {Array} maze - The maze to check
+ * @returns {boolean} Whether the maze is perfect
+ */
+function isPerfectMaze(maze) {
+  let openCells = 0;
+  let passages = 0;
+
+  for (let y = 1; y < maze.length - 1; y++) {
+    for (let x = 1; x < maze[y].length - 1; x++) {
+      if (maze[y][x] === '#') continue;
+      openCells++;
+      if (maze[y][x + 1] !== '#') passages++;
+      if (maze[y + 1][x] !== '#') passages++;
+    }
+  }
+
+  // A connected graph with one edge fewer than its nodes is a tree
+  return passages === openCells - 1;
+}
+
+/**
+ * Wrap a generated layout in the maze file format
+ * @param {Array} layout - Generated layout
+ * @returns {Object} Maze data as stored in mazes/*.json
+ */
+function toMazeData(layout) {
+  const height = layout.length;
+  const width = layout[0].length;
+  return {
+    width,
+    height,
+    playerStart: { x: 1, y: 1, direction: 1 },
+    exit: { x: width - 2, y: height - 2 },
+    layout
+  };
+}
+
+/**
+ * Run algorithm tests
+ */
+function testMazeAlgorithms() {
+  try {
+    console.log('Testing maze generation algorithms...');
+
+    const testSizes = [
+      { width: 5, height: 5 },
+      { width: 21, height: 21 },
+      { width: 20, height: 20 },
+      { width: 31, height: 12 }
+    ];
+
+    let passCount = 0;
+    let failCount = 0;
+
+    for (const algorithm of listAlgorithms()) {
+      const problems = [];
+
+      for (const size of testSizes) {
+        const label = `${size.width}x${size.height}`;
+        const maze = generateMaze(size.width, size.height, { seed: 7, algorithm: algorithm.id });
+
+        if (!isMazeValid(maze)) {
+          problems.push(`${label} has an invalid structure`);
+          continue;
+        }
+        if (!isMazeSolvable(maze)) {
+          problems.push(`${label} is not solvable`);
+        }
+        if (!validateMaze(toMazeData(maze), `${algorithm.id}-${label}.json`).success) {
+          problems.push(`${label} fails maze file validation`);
+        }
+        if (algorithm.id !== 'dfs' && size.width % 2 === 1 && size.height % 2 === 1 &&
+            !isPerfectMaze(maze)) {
+          problems.push(`${label} is not a perfect maze`);
+        }
+
+        const again = generateMaze(size.width, size.height, { seed: 7, algorithm: algorithm.id });
+        if (JSON.stringify(again) !== JSON.stringify(maze)) {
+          problems.push(`${label} is not reproducible from its seed`);
+        }
+      }
+
+      if (problems.length === 0) {
+        console.log(`✅ ${algorithm.label} (${algorithm.id}) follows the layout contract`);
+        passCount++;
+      } else {
+        console.error(`❌ ${algorithm.label} (${algorithm.id}):`);
+        problems.forEach(problem => console.error(`  - ${problem}`));
+        failCount++;
+      }
+    }
+
+    // Unknown algorithm ids must be rejected rather than silently ignored
+    try {
+      generateMaze(11, 11, { algorithm: 'no-such-algorithm' });
+      console.error('❌ Unknown algorithm was accepted');
+      failCount++;
+    } catch (err) {
+      console.log('✅ Unknown algorithm is rejected');
+      passCount++;
+    }
+
+    console.log(`\nAlgorithm test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Algorithm test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeAlgorithms()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  isPerfectMaze,
+  testMazeAlgorithms
+};
@@ -0,0 +1,134 @@
+/**
+ * Tests for maze analysis
+ *
+ * This script checks the measurements behind the editor's analysis panel
+ * (shortest route, dead ends, decision points, branching factor, cells off
+ * the route and unreachable cells), the difficulty score and label derived
+ * from them, and that the manifest labels bundled mazes the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  analyzeMaze,
+  getDifficultyScore,
+  getDifficultyLabel
+} = require('../js/maze-analysis');
+const { prepareLayout } = require('../js/maze-format');
+
+/**
+ * Run maze analysis tests
+ */
+function testMazeAnalysis() {
+  try {
+    console.log('Testing maze analysis...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const grid = rows => rows.map(row => row.split(''));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // A junction at (3,1), a dead end at (1,1) and two walled-off pockets
+    const maze = grid([
+      '#########',
+      '#     # #',
+      '### # # #',
+      '#   # ###',
+      '# ### # #',
+      '#    E# #',
+      '#########'
+    ]);
+    const analysis = analyzeMaze(maze, { x: 2, y: 1 });
+
+    check(
+      analysis.solutionLength === 7 && same(analysis.path[0], { x: 2, y: 1 }) && same(analysis.path[7], { x: 5, y: 5 }),
+      'Finds the shortest route from the start to the exit'
+    );
+    check(
+      analysis.deadEnds === 1 && same(analysis.deadEndCells, [{ x: 1, y: 1 }]),
+      'Counts dead ends the start can reach, but not the start or exit'
+    );
+    check(analysis.decisionPoints === 1 && analysis.branchingFactor === 2, 'Counts decision points and the ways on from them');
+    check(analysis.offPathPercent === 56, 'Measures how much of the reachable maze is off the route');
+    check(
+      same(analysis.unreachable, [{ x: 7, y: 1 }, { x: 7, y: 2 }, { x: 7, y: 4 }, { x: 7, y: 5 }]),
+      'Lists the open cells the start cannot reach'
+    );
+    check(analysis.score === 7 + 2 * 1 + 3 * 1 && analysis.difficulty === 'easy', 'Scores the route, dead ends and decision points');
+
+    // A corridor has no decision points
+    const corridor = analyzeMaze(grid(['#####', '#  E#', '#####']), { x: 1, y: 1 });
+    check(
+      corridor.solutionLength === 2 && corridor.decisionPoints === 0 && corridor.branchingFactor === 1 && corridor.offPathPercent === 0,
+      'Treats a corridor as one way on everywhere'
+    );
+
+    // Unsolvable and collect-all mazes
+    const shut = analyzeMaze(grid(['#####', '# #E#', '#####']), { x: 1, y: 1 });
+    check(
+      shut.solutionLength === -1 && shut.path.length === 0 && shut.score === -1 && shut.difficulty === null &&
+        same(shut.unreachable, [{ x: 3, y: 1 }]),
+      'Reports a maze without a route as unsolvable'
+    );
+    const items = grid(['#######', '#C  E #', '#######']);
+    check(
+      analyzeMaze(items, { x: 2, y: 1 }).solutionLength === 2 &&
+        analyzeMaze(items, { x: 2, y: 1 }, { collectAll: true }).solutionLength === 4,
+      'Routes past every item when they must all be collected'
+    );
+
+    // Labels
+    check(
+      getDifficultyLabel(39) === 'easy' && getDifficultyLabel(40) === 'medium' &&
+        getDifficultyLabel(119) === 'medium' && getDifficultyLabel(120) === 'hard',
+      'Labels scores as easy, medium or hard'
+    );
+    check(getDifficultyScore({ solutionLength: -1, deadEnds: 3, decisionPoints: 2 }) === -1, 'Gives no score without a route');
+
+    // The manifest uses the same labels
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const manifest = JSON.parse(fs.readFileSync(path.join(mazeDir, 'index.json'), 'utf8'));
+    const mismatched = manifest.mazes.filter(entry => {
+      const data = JSON.parse(fs.readFileSync(path.join(mazeDir, entry.file), 'utf8'));
+      if (typeof data.difficulty === 'string') return false;
+      const result = analyzeMaze(prepareLayout(data), data.playerStart, { collectAll: !!data.collectAll });
+      return result.difficulty !== entry.difficulty;
+    });
+    check(
+      mismatched.length === 0,
+      mismatched.length === 0
+        ? 'Bundled mazes get the difficulty listed in the manifest'
+        : `Manifest difficulty differs for ${mismatched.map(entry => entry.file).join(', ')}`
+    );
+
+    console.log(`\nMaze analysis test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze analysis test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeAnalysis()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeAnalysis
+};
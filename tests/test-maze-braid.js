@@ -0,0 +1,137 @@
+/**
+ * Tests for braiding (dead-end removal and extra loops)
+ *
+ * This script checks that the post-processing pass removes the requested
+ * share of dead ends, opens loops, reports accurate metrics and never
+ * breaks the maze layout contract.
+ */
+
+const { generateMaze, createRandom, listAlgorithms } = require('../js/maze-generator');
+const { braidMaze, measureMaze, findDeadEnds, countLoops } = require('../js/maze-braid');
+const { isMazeValid, isMazeSolvable } = require('./test-maze-generator');
+
+/**
+ * Run braiding tests
+ */
+function testMazeBraid() {
+  try {
+    console.log('Testing maze braiding...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // Metrics on a small hand-made layout: one loop around the centre pillar
+    // and a single dead end at the bottom left
+    const looped = [
+      ['#', '#', '#', '#', '#'],
+      ['#', ' ', ' ', ' ', '#'],
+      ['#', ' ', '#', ' ', '#'],
+      ['#', ' ', ' ', ' ', '#'],
+      ['#', ' ', '#', 'E', '#'],
+      ['#', '#', '#', '#', '#']
+    ];
+    check(countLoops(looped) === 1, 'Counts one loop around a pillar');
+    check(findDeadEnds(looped).length === 1, 'Counts the dead end but not the exit');
+
+    // A perfect maze has no loops
+    const perfect = generateMaze(21, 21, { seed: 3, algorithm: 'kruskal' });
+    const before = measureMaze(perfect);
+    check(before.loops === 0 && before.deadEnds > 0, `Perfect maze has ${before.deadEnds} dead ends and no loops`);
+
+    // Braid 0 leaves the layout untouched
+    const untouched = perfect.map(row => row.slice());
+    braidMaze(untouched, { braid: 0, loops: 0, random: createRandom(1) });
+    check(JSON.stringify(untouched) === JSON.stringify(perfect), 'Braid 0 leaves the maze unchanged');
+
+    // Half the dead ends removed
+    const half = perfect.map(row => row.slice());
+    const halfResult = braidMaze(half, { braid: 0.5, random: createRandom(1) });
+    check(
+      halfResult.deadEnds <= Math.ceil(before.deadEnds / 2) && halfResult.loops > 0,
+      `Braid 0.5 leaves ${halfResult.deadEnds} of ${before.deadEnds} dead ends`
+    );
+
+    // Full braid removes every dead end
+    const full = perfect.map(row => row.slice());
+    const fullResult = braidMaze(full, { braid: 1, random: createRandom(1) });
+    check(fullResult.deadEnds === 0, 'Braid 1 removes every dead end');
+    check(
+      JSON.stringify({ deadEnds: fullResult.deadEnds, loops: fullResult.loops }) ===
+        JSON.stringify(measureMaze(full)),
+      'Reported metrics match the resulting layout'
+    );
+
+    // Extra loops without touching dead ends
+    const extra = perfect.map(row => row.slice());
+    const extraResult = braidMaze(extra, { loops: 0.2, random: createRandom(1) });
+    check(
+      extraResult.openedLoops > 0 && extraResult.loops >= extraResult.openedLoops,
+      `Loops 0.2 opens ${extraResult.openedLoops} extra loops`
+    );
+
+    // Braided output from the generator keeps the layout contract and
+    // stays reproducible from its seed
+    const options = { seed: 11, algorithm: 'prim', braid: 0.75, loops: 0.1 };
+    const braided = generateMaze(25, 19, options);
+    check(isMazeValid(braided) && isMazeSolvable(braided), 'Braided maze is valid and solvable');
+    check(
+      JSON.stringify(braided) === JSON.stringify(generateMaze(25, 19, options)),
+      'Braided maze is reproducible from its seed'
+    );
+
+    // Even sizes have a row and column off the lattice; braiding must not
+    // merge corridors into open 2x2 rooms there. Depth-first carving can
+    // leave rooms of its own, so compare with the unbraided maze.
+    const countRooms = maze => {
+      let rooms = 0;
+      for (let y = 0; y < maze.length - 1; y++) {
+        for (let x = 0; x < maze[y].length - 1; x++) {
+          if ([maze[y][x], maze[y][x + 1], maze[y + 1][x], maze[y + 1][x + 1]].every(cell => cell !== '#')) {
+            rooms++;
+          }
+        }
+      }
+      return rooms;
+    };
+    const roomy = [];
+    for (const { id } of listAlgorithms()) {
+      for (const [width, height] of [[6, 6], [8, 10], [12, 7]]) {
+        for (let seed = 1; seed <= 10; seed++) {
+          const plain = generateMaze(width, height, { seed, algorithm: id });
+          const looped = generateMaze(width, height, { seed, algorithm: id, braid: 1, loops: 0.3 });
+          if (countRooms(looped) > countRooms(plain)) roomy.push(`${id} ${width}x${height} seed ${seed}`);
+        }
+      }
+    }
+    check(roomy.length === 0, `Braiding opens no 2x2 rooms on even sizes${roomy.length ? ` (${roomy.join(', ')})` : ''}`);
+
+    console.log(`\nBraid test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Braid test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeBraid()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeBraid
+};
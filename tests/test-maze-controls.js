@@ -0,0 +1,144 @@
+/**
+ * Tests for the game controls
+ *
+ * This script checks the default keys, rebinding keys and keeping the
+ * bindings in an in-memory storage backend, the queue of moves pressed
+ * during an animation, and which swipes turn into which commands.
+ */
+
+const { COMMANDS } = require('../js/maze-engine');
+const { ACTIONS, KeyBindings, InputQueue, getSwipeCommand, formatKey } = require('../js/maze-controls');
+const { createMemoryStorage } = require('../js/maze-scores');
+
+/**
+ * Run controls tests
+ */
+function testMazeControls() {
+  try {
+    console.log('Testing game controls...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Default keys
+    const storage = createMemoryStorage();
+    const controls = new KeyBindings(storage);
+    check(
+      Object.values(COMMANDS).every(command => ACTIONS.some(action => action.id === command)),
+      'Every engine command has an action'
+    );
+    check(
+      controls.getAction('ArrowUp') === 'forward' && controls.getAction('w') === 'forward' &&
+        controls.getAction('ArrowLeft') === 'turn-left' && controls.getAction('a') === 'turn-left' &&
+        controls.getAction('s') === 'backward' && controls.getAction('d') === 'turn-right',
+      'Arrow keys and WASD move and turn by default'
+    );
+    check(
+      controls.getAction('q') === 'strafe-left' && controls.getAction('e') === 'strafe-right' &&
+        controls.getAction('x') === 'turn-around' && controls.getAction('h') === 'hint' &&
+        controls.getAction('M') === 'map' && controls.getAction('=') === 'zoom-in',
+      'Strafing, turning around, hints and the map have keys, whatever the case'
+    );
+    check(controls.getAction('z') === null, 'Unbound keys do nothing');
+    check(controls.describe('forward') === '↑/W' && controls.describe('hint') === 'H', 'Describes the keys for an action');
+
+    // Rebinding
+    const taken = controls.bind('forward', 'E');
+    check(
+      taken === 'strafe-right' && controls.getAction('e') === 'forward' && same(controls.getKeys('strafe-right'), []) &&
+        same(controls.getKeys('forward'), ['ArrowUp', 'w', 'e']),
+      'Binding a key takes it from the action that had it'
+    );
+    controls.unbind('backward', 's');
+    controls.unbind('turn-left');
+    check(
+      same(controls.getKeys('backward'), ['ArrowDown']) && same(controls.getKeys('turn-left'), []) &&
+        controls.describe('turn-left') === null,
+      'Removes one key or every key from an action'
+    );
+    const reloaded = new KeyBindings(storage);
+    check(
+      reloaded.getAction('e') === 'forward' && reloaded.getAction('a') === null && reloaded.getAction('ArrowDown') === 'backward',
+      'Keeps the bindings in storage'
+    );
+    reloaded.reset();
+    check(
+      reloaded.getAction('e') === 'strafe-right' && new KeyBindings(storage).getAction('a') === 'turn-left',
+      'Goes back to the default keys'
+    );
+    let caught = '';
+    try {
+      controls.bind('jump', 'j');
+    } catch (err) {
+      caught = err.message;
+    }
+    check(caught === 'Unknown action: jump', 'Rejects an unknown action');
+
+    const broken = createMemoryStorage();
+    broken.setItem('mazeKeyBindings', '{not json');
+    const partial = createMemoryStorage();
+    partial.setItem('mazeKeyBindings', JSON.stringify({ version: 1, bindings: { forward: ['i'], hint: 'h' } }));
+    const fromPartial = new KeyBindings(partial);
+    check(
+      new KeyBindings(broken).getAction('w') === 'forward' && fromPartial.getAction('i') === 'forward' &&
+        fromPartial.getAction('w') === null && fromPartial.getAction('h') === 'hint',
+      'Falls back to the default keys for anything unreadable'
+    );
+
+    // Buffered moves
+    const queue = new InputQueue({ size: 2 });
+    const pushed = [queue.push('forward'), queue.push('turn-left'), queue.push('forward')];
+    check(
+      same(pushed, [true, true, false]) && queue.shift() === 'forward' && queue.shift() === 'turn-left' &&
+        queue.shift() === null,
+      'Plays buffered moves in order and drops presses once full'
+    );
+    queue.push('forward');
+    queue.clear();
+    check(queue.length === 0 && new InputQueue().size === 3, 'Empties the queue');
+
+    // Swipes
+    check(
+      getSwipeCommand(5, -80) === 'forward' && getSwipeCommand(-10, 60) === 'backward' &&
+        getSwipeCommand(-90, 20) === 'turn-left' && getSwipeCommand(70, -30) === 'turn-right',
+      'Swipes up, down, left and right walk and turn'
+    );
+    check(getSwipeCommand(10, -20) === null && getSwipeCommand(10, -20, { minDistance: 15 }) === 'forward', 'Short swipes count as taps');
+
+    check(
+      formatKey('ArrowUp') === '↑' && formatKey('w') === 'W' && formatKey(' ') === 'Space' && formatKey('Enter') === 'Enter',
+      'Shows keys the way they are printed'
+    );
+
+    console.log(`\nControls test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Controls test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeControls()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeControls
+};
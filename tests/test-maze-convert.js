@@ -0,0 +1,135 @@
+/**
+ * Tests for the layout encodings and the maze-convert tool
+ *
+ * This script checks that layouts round-trip through string rows and
+ * run-length encoding, that every bundled maze loads the same whichever
+ * encoding it is stored in, and that the converter rewrites files in place
+ * and reports stale ones with --check.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeLayout, decodeLayout } = require('../js/maze-format');
+const { loadMaze } = require('../js/maze-schema');
+const { parseArgs, convertMaze, formatMaze, main } = require('../bin/maze-convert');
+
+/**
+ * Run layout encoding and converter tests
+ */
+function testMazeConvert() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maze-convert-'));
+  const log = console.log;
+  const error = console.error;
+
+  try {
+    console.log('Testing layout encodings and maze-convert...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // Encodings
+    const layout = ['#######', '#    E#', '#K#D#C#', '#######'].map(row => row.split(''));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    check(same(encodeLayout(layout), ['#######', '#    E#', '#K#D#C#', '#######']), 'Writes each row as a string');
+    check(same(encodeLayout(layout, { runLength: true }), ['7#', '#4 E#', '#K#D#C#', '7#']), 'Counts runs of three or more cells');
+    check(same(encodeLayout([['#', '#', ' ', ' ', '#']], { runLength: true }), ['##  #']), 'Leaves short runs spelled out');
+    check(same(encodeLayout(['#3 #']), ['#   #']), 'Expands run-length rows when writing plain rows');
+    check(same(decodeLayout(encodeLayout(layout, { runLength: true })), layout), 'Run-length rows decode to the same cells');
+    check(same(decodeLayout(['#3 #', ['#', ' ', '#']]), [['#', ' ', ' ', ' ', '#'], ['#', ' ', '#']]), 'Decodes string and array rows side by side');
+    check(decodeLayout('PROCEDURAL') === 'PROCEDURAL', 'Leaves a placeholder layout alone');
+
+    // Every bundled maze loads the same in every encoding
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const mazeFiles = fs.readdirSync(mazeDir).filter(file => file.endsWith('.json') && file !== 'index.json');
+    const mismatched = mazeFiles.filter(file => {
+      const data = JSON.parse(fs.readFileSync(path.join(mazeDir, file), 'utf8'));
+      const loaded = ['rows', 'rle', 'cells'].map(encoding => loadMaze(convertMaze(data, encoding)));
+      return loaded.some(result => result.errors.length > 0 || !same(result.maze.layout, loaded[0].maze.layout));
+    });
+    check(
+      mismatched.length === 0,
+      mismatched.length === 0
+        ? `All ${mazeFiles.length} bundled mazes load the same in every encoding`
+        : `Encodings differ for ${mismatched.join(', ')}`
+    );
+
+    // Conversion keeps the other fields and upgrades the version
+    const legacy = {
+      name: 'Legacy',
+      width: 7,
+      height: 4,
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exit: { x: 5, y: 1 },
+      layout: [['#', '#', '#', '#', '#', '#', '#'], ['#', ' ', ' ', ' ', ' ', ' ', '#'],
+        ['#', ' ', '#', '#', '#', ' ', '#'], ['#', '#', '#', '#', '#', '#', '#']]
+    };
+    const converted = convertMaze(legacy, 'rle');
+    check(
+      converted.version === loadMaze(converted).maze.version && loadMaze(legacy).migratedFrom === 1 &&
+        converted.name === 'Legacy' && same(converted.layout, ['7#', '#5 #', '# 3# #', '7#']),
+      'Converts an old file to the current version with an encoded layout'
+    );
+
+    // The command rewrites files in place and --check reports stale ones
+    check(parseArgs(['--rle', 'a.json']).encoding === 'rle' && parseArgs([]).encoding === 'rows', 'Parses the encoding');
+    const file = path.join(tempDir, 'legacy.json');
+    fs.writeFileSync(file, JSON.stringify(legacy));
+
+    console.log = () => {};
+    const staleCode = main(['--check', file]);
+    const untouched = fs.readFileSync(file, 'utf8') === JSON.stringify(legacy);
+    const writeCode = main(['--rle', file]);
+    const upToDateCode = main(['--check', '--rle', file]);
+    console.log = log;
+
+    check(staleCode === 1 && untouched, '--check reports a file that would change without writing it');
+    check(writeCode === 0 && fs.readFileSync(file, 'utf8') === formatMaze(converted), 'Rewrites the file in place');
+    check(upToDateCode === 0, '--check passes once the file is converted');
+
+    const broken = path.join(tempDir, 'broken.json');
+    fs.writeFileSync(broken, '{"layout": [');
+    const errors = [];
+    console.error = message => errors.push(message);
+    const unreadableCode = main(['--check', '--rle', path.join(tempDir, 'missing.json'), broken, file]);
+    console.error = error;
+    check(
+      unreadableCode === 1 && errors.length === 2 && errors.every(message => message.startsWith('Not converting ')),
+      'Reports files it cannot read or parse and carries on'
+    );
+
+    console.log(`\nMaze-convert test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.log = log;
+    console.error = error;
+    console.error('Maze-convert test error:', err.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeConvert()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeConvert
+};
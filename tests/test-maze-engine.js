@@ -0,0 +1,271 @@
+/**
+ * Tests for the game engine
+ *
+ * This script plays the game without a screen: moving, turning and bumping
+ * into walls, what the player can see around them, keys, doors and items,
+ * hints, the events reported for each command, saving and resuming a run, and
+ * walking the shortest route through every bundled maze to its exit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS, GameEngine } = require('../js/maze-engine');
+const { findShortestPath } = require('../js/maze-solver');
+const { prepareLayout } = require('../js/maze-format');
+const { generateMaze } = require('../js/maze-generator');
+
+/**
+ * Run game engine tests
+ */
+function testMazeEngine() {
+  try {
+    console.log('Testing the game engine...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const types = events => events.map(event => event.type);
+    const mazeData = (rows, playerStart, extra = {}) => Object.assign({
+      version: 2,
+      name: 'Test',
+      width: rows[0].length,
+      height: rows.length,
+      playerStart,
+      exit: { x: 0, y: 0 },
+      layout: rows.map(row => row.split(''))
+    }, extra);
+
+    // Turn to face each step of a route, then walk it
+    const walk = (engine, route) => {
+      const dx = [0, 1, 0, -1];
+      const dy = [-1, 0, 1, 0];
+      for (let i = 1; i < route.length; i++) {
+        const direction = dx.findIndex((x, d) =>
+          route[i - 1].x + x === route[i].x && route[i - 1].y + dy[d] === route[i].y);
+        while (engine.player.direction !== direction) engine.turnRight();
+        engine.moveForward();
+      }
+    };
+
+    // Moving, turning and bumping
+    const corridorData = mazeData(['#####', '#   #', '# #E#', '#####'], { x: 1, y: 1, direction: 0 });
+    const corridor = new GameEngine({ mazeData: corridorData });
+    const bump = corridor.moveForward();
+    check(
+      same(types(bump), ['bump']) && !bump[0].lockedDoor && same(corridor.player, { x: 1, y: 1, direction: 0 }) &&
+        corridor.session.bumps === 1 && corridor.session.moves === 0,
+      'Stops at walls and counts the bump'
+    );
+    const turned = corridor.turnLeft();
+    check(
+      same(turned, [{ type: 'turn', command: 'turn-left', from: 0, to: 3 }]) && corridor.turnRight()[0].to === 0,
+      'Turns a quarter at a time, wrapping round from North to West'
+    );
+    corridor.turnRight();
+    const moved = corridor.moveForward();
+    check(
+      same(moved, [{ type: 'move', command: 'forward', from: { x: 1, y: 1 }, to: { x: 2, y: 1 }, direction: 1 }]) &&
+        corridor.visited.has('2,1') && same(corridor.trail, [{ x: 1, y: 1 }, { x: 2, y: 1 }]),
+      'Steps into open cells and remembers the route walked'
+    );
+    check(
+      corridor.moveBackward()[0].to.x === 1 && corridor.player.direction === 1,
+      'Steps backward without turning round'
+    );
+    const sidestep = new GameEngine({ mazeData: corridorData });
+    const strafed = [sidestep.strafeRight(), sidestep.strafeRight(), sidestep.strafeLeft()];
+    check(
+      same(strafed.map(events => events[0].type), ['move', 'move', 'move']) && strafed[0][0].command === 'strafe-right' &&
+        same(sidestep.player, { x: 2, y: 1, direction: 0 }) && sidestep.strafeLeft()[0].type === 'move' &&
+        sidestep.strafeLeft()[0].type === 'bump',
+      'Steps sideways without turning'
+    );
+    const turnedRound = sidestep.turnAround();
+    check(
+      same(turnedRound, [{ type: 'turn', command: 'turn-around', from: 0, to: 2 }]) && sidestep.session.turns === 1,
+      'Turns all the way round as one turn'
+    );
+
+    // Looking around
+    corridor.moveForward();
+    const around = corridor.getSurroundings();
+    check(
+      around.ahead.wall === false && around.right.wall === true && around.left.wall === true && around.behind.wall === false,
+      'Reports the cells around the player relative to the way they face'
+    );
+    corridor.moveForward();
+    check(
+      same(corridor.getAvailablePaths(), [{ direction: 2, name: 'South', isExit: true }, { direction: 3, name: 'West', isExit: false }]),
+      'Lists the ways out of a cell and which lead to an exit'
+    );
+    check(
+      corridor.explored.has('3,2') && !new GameEngine({ mazeData: corridorData }).explored.has('3,2'),
+      'Remembers the cells seen so far'
+    );
+
+    // Reaching the exit
+    const events = [];
+    corridor.on('win', event => events.push(event));
+    corridor.turnRight();
+    const won = corridor.moveForward();
+    check(
+      same(types(won), ['move', 'win']) && events.length === 1 && events[0].stats.completed &&
+        corridor.isComplete && corridor.session.completed,
+      'Ends the run on reaching an exit'
+    );
+    check(corridor.turnLeft().length === 0 && corridor.session.turns === 4, 'Ignores commands once the run is over');
+
+    // Keys, doors and items
+    const locked = new GameEngine({
+      mazeData: mazeData(['#######', '#K D C#', '####E##', '#######'], { x: 2, y: 1, direction: 1 }, { collectAll: true })
+    });
+    check(locked.moveForward()[0].lockedDoor === true, 'Locked doors block the way until a key is found');
+    locked.turnLeft();
+    locked.turnLeft();
+    const key = locked.moveForward();
+    check(
+      same(types(key), ['move', 'pickup']) && key[1].cell === 'K' && locked.hasKey && locked.maze[1][1] === ' ',
+      'Picks up a key'
+    );
+    locked.turnRight();
+    locked.turnRight();
+    ['forward', 'forward', 'forward'].forEach(command => locked.apply(command));
+    locked.turnRight();
+    const shut = locked.moveForward();
+    check(same(types(shut), ['move', 'exit-locked']) && !locked.isComplete, 'Keeps the exit shut until every item is collected');
+    locked.moveBackward();
+    locked.turnLeft();
+    const item = locked.moveForward();
+    locked.turnLeft();
+    locked.turnLeft();
+    locked.moveForward();
+    locked.turnLeft();
+    check(
+      item[1].cell === 'C' && item[1].exitsOpen && same(types(locked.moveForward()), ['move', 'win']),
+      'Opens the exit once the last item is picked up'
+    );
+
+    // Listeners
+    const heard = [];
+    const listener = event => heard.push(event.type);
+    const engine = new GameEngine({ seed: 7, width: 11, height: 11 });
+    engine.on('turn', listener);
+    engine.turnLeft();
+    engine.off('turn', listener);
+    engine.turnRight();
+    check(same(heard, ['turn']), 'Stops telling a listener once it is removed');
+
+    let caught = '';
+    try {
+      engine.apply('jump');
+    } catch (err) {
+      caught = err.message;
+    }
+    check(caught === 'Unknown command: jump' && Object.values(COMMANDS).length === 8, 'Rejects an unknown command');
+
+    // Hints
+    const hooked = new GameEngine({
+      mazeData: mazeData(['#######', '#     #', '##### #', '#E    #', '#######'], { x: 1, y: 1, direction: 1 })
+    });
+    const hint = hooked.requestHint();
+    check(
+      same(types(hint), ['hint']) && hint[0].ahead === 4 && hint[0].turn === 'right' && hint[0].hintsLeft === 2 &&
+        same(hint[0].cells, [{ x: 2, y: 1 }, { x: 3, y: 1 }, { x: 4, y: 1 }, { x: 5, y: 1 }, { x: 5, y: 2 }]) &&
+        hooked.session.hintsUsed === 1 && hooked.session.moves === 0,
+      'A hint shows the next cells of the shortest route and the next turn'
+    );
+    hooked.moveForward();
+    hooked.moveForward();
+    const walked = hooked.hint.cells.length;
+    hooked.moveBackward();
+    check(walked === 3 && hooked.hint === null, 'The hint shortens as it is walked and goes once the player leaves it');
+    hooked.turnLeft();
+    hooked.turnLeft();
+    const behind = hooked.requestHint()[0];
+    check(behind.ahead === 0 && behind.turn === 'around', 'Tells the player to turn round when the route is behind them');
+    hooked.requestHint();
+    const usedUp = hooked.requestHint();
+    check(
+      same(usedUp, [{ type: 'no-hint', command: 'hint', reason: 'used-up', hintsLeft: 0 }]) &&
+        hooked.session.getStats().hintsUsed === 3,
+      'Refuses hints once the budget for the run is spent'
+    );
+    const trapped = new GameEngine({
+      mazeData: mazeData(['#####', '#   #', '#####'], { x: 1, y: 1, direction: 1 }),
+      hintBudget: 1
+    });
+    check(
+      trapped.requestHint()[0].reason === 'no-route' && trapped.session.hintsUsed === 0 && trapped.hint === null,
+      'Doesn\'t spend a hint when no exit can be reached'
+    );
+
+    // Random mazes and saving
+    check(
+      same(engine.maze, generateMaze(11, 11, { seed: 7 })) && engine.name === 'Random Maze 7 (11×11)' &&
+        same(engine.getSource(), { seed: 7, width: 11, height: 11, algorithm: engine.algorithm, braid: 0, loops: 0 }),
+      'Builds a random maze from its seed'
+    );
+    const saveMaze = new GameEngine({
+      mazeData: mazeData(['######', '#  KC#', '####E#', '######'], { x: 1, y: 1, direction: 1 }),
+      file: 'mazes/test.json'
+    });
+    saveMaze.moveForward();
+    saveMaze.moveForward();
+    saveMaze.requestHint();
+    const save = JSON.parse(JSON.stringify(saveMaze.getSaveState()));
+    const resumed = new GameEngine({ mazeData: save.mazeData, resume: save });
+    check(
+      same(resumed.player, saveMaze.player) && resumed.hasKey && resumed.maze[1][3] === ' ' &&
+        resumed.session.moves === 2 && resumed.session.hintsUsed === 1 && same(resumed.trail, saveMaze.trail) && same(save.source, { file: 'mazes/test.json' }),
+      'Resumes a saved run where it left off'
+    );
+
+    // Every bundled maze can be walked to its exit along the shortest route
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const unfinished = fs.readdirSync(mazeDir)
+      .filter(file => file.endsWith('.json') && file !== 'index.json')
+      .filter(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(mazeDir, file), 'utf8'));
+        const run = new GameEngine({ mazeData: data });
+        const route = findShortestPath(prepareLayout(data), data.playerStart, null, { collectAll: !!data.collectAll });
+        walk(run, route || []);
+        return !run.isComplete || run.session.moves !== run.session.optimalLength || run.session.bumps !== 0;
+      });
+    check(
+      unfinished.length === 0,
+      unfinished.length === 0
+        ? 'Walks every bundled maze along its shortest route to the exit'
+        : `Could not walk ${unfinished.join(', ')} to the exit`
+    );
+
+    console.log(`\nGame engine test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Game engine test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeEngine()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeEngine
+};
@@ -0,0 +1,88 @@
+/**
+ * Tests for exploration (fog of war)
+ *
+ * This script checks which cells count as seen from a position: the cells
+ * around the player and the corridor ahead with its side openings, stopping
+ * at walls and the view depth.
+ */
+
+const { getVisibleCells, getNextMapMode, MAP_MODES } = require('../js/maze-explore');
+
+/**
+ * Run exploration tests
+ */
+function testMazeExplore() {
+  try {
+    console.log('Testing exploration...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // A long corridor heading east with a side passage to the south at x = 4
+    const maze = [
+      '###########',
+      '#         #',
+      '### #######',
+      '#   #    E#',
+      '###########'
+    ].map(row => row.split(''));
+
+    const keys = cells => new Set(cells.map(cell => `${cell.x},${cell.y}`));
+
+    const east = keys(getVisibleCells(maze, 1, 1, 1, 6));
+    check(
+      ['0,0', '1,0', '2,0', '0,1', '2,1', '0,2', '1,2', '2,2'].every(key => east.has(key)),
+      'Sees every cell around the player'
+    );
+    check(
+      ['3,1', '7,1', '4,2', '7,0'].every(key => east.has(key)),
+      'Sees down the corridor, including side openings and walls'
+    );
+    check(!east.has('8,1') && !east.has('4,3'), 'Stops at the view depth and does not see round corners');
+
+    const short = keys(getVisibleCells(maze, 1, 1, 1, 2));
+    check(short.has('3,1') && !short.has('4,1'), 'Respects a shorter view depth');
+
+    const west = keys(getVisibleCells(maze, 3, 1, 3, 6));
+    check(west.has('0,1') && !west.has('-1,1') && west.size === 13, 'Stops at the first wall and stays inside the maze');
+
+    const north = keys(getVisibleCells(maze, 3, 1, 0, 6));
+    check(north.size === 9, 'Facing a wall only shows the surroundings');
+
+    // Map modes cycle full -> explored -> none -> full
+    check(
+      MAP_MODES.map(mode => mode.id).join() === 'full,explored,none' &&
+        getNextMapMode('full') === 'explored' && getNextMapMode('none') === 'full',
+      'Map modes cycle in order'
+    );
+
+    console.log(`\nExploration test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Exploration test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeExplore()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeExplore
+};
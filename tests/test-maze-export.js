@@ -0,0 +1,145 @@
+/**
+ * Tests for maze import and export
+ *
+ * This script checks that ASCII art is read into valid maze files with clear
+ * errors for bad art, that every bundled maze survives a round trip through
+ * ASCII, and that the SVG and canvas renderings draw the same shapes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseAscii, formatAscii, getShapes, renderSvg, drawMaze } = require('../js/maze-export');
+const { prepareLayout } = require('../js/maze-format');
+const { loadMaze, validateMaze } = require('../js/maze-schema');
+
+/**
+ * Run maze import and export tests
+ */
+function testMazeExport() {
+  try {
+    console.log('Testing maze import and export...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const errorOf = fn => {
+      try {
+        fn();
+        return '';
+      } catch (err) {
+        return err.message;
+      }
+    };
+
+    // Reading ASCII art
+    const art = [
+      '```',
+      '#######',
+      '#S  #E#',
+      '# # # #',
+      '# K   #',
+      '#######',
+      '```',
+      ''
+    ].join('\r\n');
+    const maze = parseAscii(art, { name: 'Pasted' });
+    check(
+      maze.name === 'Pasted' && maze.width === 7 && maze.height === 5 && validateMaze(maze).length === 0,
+      'Reads pasted art inside a code fence into a valid maze'
+    );
+    check(
+      same(maze.playerStart, { x: 1, y: 1, direction: 1 }) && same(maze.exit, { x: 5, y: 1 }) &&
+        maze.layout[1] === '#   #E#' && maze.layout[3] === '# K   #',
+      'Takes the start from S and the exits from E'
+    );
+    check(parseAscii('#####\n#S#E#\n# # #\n#   #\n#####').playerStart.direction === 2, 'Faces the start towards an open cell');
+    check(parseAscii('#####\n#S E\n#####').layout[1] === '#  E ', 'Pads a row trimmed by a chat client with floor');
+    check(same(parseAscii('#####\n#E#E#\n#S  #\n#####').exit, [{ x: 1, y: 1 }, { x: 3, y: 1 }]), 'Lists several exits');
+
+    check(errorOf(() => parseAscii('#####\n#S X#\n#####')) === 'Line 2, column 4: unknown character "X" (use #, space, S, E, K, D or C)', 'Points at an unknown character');
+    check(errorOf(() => parseAscii('#####\n#S S#\n#E  #\n#####')).startsWith('Line 2, column 4: a second start'), 'Refuses a second start');
+    check(errorOf(() => parseAscii('#####\n#  E#\n#####')) === 'Mark the start with an S', 'Asks for a start');
+    check(errorOf(() => parseAscii('#####\n#S  #\n#####')) === 'Mark at least one exit with an E', 'Asks for an exit');
+    check(errorOf(() => parseAscii('\n  \n')) === 'No maze found in the text', 'Reports empty text');
+
+    // Every bundled maze survives a round trip through ASCII
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const failed = fs.readdirSync(mazeDir)
+      .filter(file => file.endsWith('.json') && file !== 'index.json')
+      .filter(file => {
+        const { maze: original, errors } = loadMaze(JSON.parse(fs.readFileSync(path.join(mazeDir, file), 'utf8')));
+        if (errors.length > 0) return false;
+        const copy = parseAscii(formatAscii(original));
+        return !same(prepareLayout(copy), prepareLayout(original)) ||
+          copy.playerStart.x !== original.playerStart.x || copy.playerStart.y !== original.playerStart.y;
+      });
+    check(failed.length === 0, failed.length === 0 ? 'Bundled mazes round-trip through ASCII' : `Round trip changed ${failed.join(', ')}`);
+
+    // Rendering
+    const { width, height, shapes } = getShapes(maze, { cellSize: 10 });
+    check(width === 70 && height === 50, 'Sizes the drawing from the cell size');
+    const rects = shapes.filter(shape => shape.type === 'rect');
+    check(
+      rects.some(rect => rect.x === 0 && rect.y === 0 && rect.width === 70 && rect.height === 10),
+      'Draws a run of wall as one rect'
+    );
+    check(
+      same(shapes.filter(shape => shape.type === 'text').map(shape => shape.text), ['E', 'K']),
+      'Labels each object with its letter'
+    );
+    const arrow = shapes.find(shape => shape.type === 'polygon');
+    check(same(arrow.points, [[19, 15], [13, 13], [13, 17]]), 'Points the start arrow the way the player faces');
+
+    const svg = renderSvg(Object.assign({}, maze, { name: 'Keys & <Doors>' }), { cellSize: 10 });
+    check(
+      svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="70" height="50"') &&
+        svg.includes('<title>Keys &amp; &lt;Doors&gt;</title>') &&
+        (svg.match(/<rect /g) || []).length === rects.length &&
+        svg.includes('<polygon points="19,15 13,13 13,17"'),
+      'Renders the shapes as SVG with the name escaped'
+    );
+
+    const calls = [];
+    const ctx = new Proxy({}, {
+      get: (target, name) => name in target ? target[name] : (...args) => calls.push([name, ...args]),
+      set: (target, name, value) => { calls.push([name, value]); return true; }
+    });
+    drawMaze(ctx, maze, { cellSize: 10 });
+    check(
+      calls.filter(call => call[0] === 'fillRect').length === rects.length &&
+        same(calls.filter(call => call[0] === 'fillText').map(call => call[1]), ['E', 'K']) &&
+        calls.filter(call => call[0] === 'fill').length === 1,
+      'Draws the same shapes onto a canvas'
+    );
+
+    console.log(`\nMaze export test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze export test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeExport()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeExport
+};
@@ -0,0 +1,147 @@
+/**
+ * Tests for filling part of a maze with a generated maze
+ *
+ * This script checks that a rectangle or the unreached area is filled with
+ * corridors that join up with everything drawn around them, that the start
+ * and objects are kept, that the outer wall is left alone and that a seed
+ * repeats its fill.
+ */
+
+const { findUnreached, fillRect, fillUnreached } = require('../js/maze-fill');
+const { generateMaze, listAlgorithms } = require('../js/maze-generator');
+
+/**
+ * Run maze fill tests
+ */
+function testMazeFill() {
+  try {
+    console.log('Testing maze fills...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const grid = rows => rows.map(row => row.split(''));
+    const rows = cells => cells.map(row => row.join(''));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const apply = (layout, changes) => {
+      const maze = layout.map(row => row.slice());
+      changes.forEach(({ x, y, cell }) => {
+        maze[y][x] = cell;
+      });
+      return maze;
+    };
+
+    // Open cells the start can't walk to
+    const unreachable = (maze, start) => {
+      const seen = new Set([`${start.x},${start.y}`]);
+      const queue = [start];
+      for (let i = 0; i < queue.length; i++) {
+        const { x, y } = queue[i];
+        [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+          const key = `${x + dx},${y + dy}`;
+          if (maze[y + dy] && maze[y + dy][x + dx] && maze[y + dy][x + dx] !== '#' && !seen.has(key)) {
+            seen.add(key);
+            queue.push({ x: x + dx, y: y + dy });
+          }
+        });
+      }
+      const left = [];
+      maze.forEach((row, y) => row.forEach((cell, x) => {
+        if (cell !== '#' && !seen.has(`${x},${y}`)) left.push({ x, y });
+      }));
+      return left;
+    };
+
+    // Two corridors that only meet through the rectangle, with a key and
+    // the exit inside it
+    const start = { x: 1, y: 1 };
+    const layout = grid([
+      '###############',
+      '#      #      #',
+      '# ########### #',
+      '# #         # #',
+      '# #         # #',
+      '# #   K     # #',
+      '# #         # #',
+      '# #         # #',
+      '# #        E# #',
+      '# #         # #',
+      '# ########### #',
+      '#  ######     #',
+      '###############'
+    ]);
+    const rect = { x: 2, y: 2, width: 11, height: 9 };
+    const changes = fillRect(layout, rect, { start, seed: 42 });
+    const filled = apply(layout, changes);
+
+    check(layout[3][3] === ' ' && layout[2][2] === '#', 'Leaves the layout it was given alone');
+    check(
+      changes.length > 0 && changes.every(({ x, y }) => x >= 2 && y >= 2 && x <= 12 && y <= 10),
+      'Only changes cells in the rectangle'
+    );
+    check(filled[5][6] === 'K' && filled[8][11] === 'E', 'Keeps the key and exit');
+    check(unreachable(filled, start).length === 0, 'Joins the maze to both corridors, the key and the exit');
+    check(same(fillRect(layout, rect, { start, seed: 42 }), changes), 'Fills the same way for the same seed');
+    check(!same(fillRect(layout, rect, { start, seed: 43 }), changes), 'Fills differently for another seed');
+
+    const broken = listAlgorithms().filter(({ id }) =>
+      unreachable(apply(layout, fillRect(layout, rect, { start, seed: 7, algorithm: id, braid: 0.5 })), start).length > 0);
+    check(broken.length === 0, broken.length === 0 ? 'Every algorithm fills a joined-up maze' : `Left cells unreachable with ${broken.map(a => a.id).join(', ')}`);
+
+    // A whole blank maze: the outer wall is the generated maze's wall
+    const blank = grid(['#########', '#########', '#########', '#########', '#########', '#########', '#########']);
+    blank[1][1] = ' ';
+    const whole = apply(blank, fillRect(blank, { x: 0, y: 0, width: 9, height: 7 }, { start, seed: 1 }));
+    const generated = generateMaze(9, 7, { seed: 1 }).map(row => row.join('').replace('E', ' '));
+    check(same(rows(whole), generated), 'Fills a whole maze just as the generator would');
+
+    // The unreached area
+    const room = grid([
+      '###########',
+      '#   #######',
+      '# # #######',
+      '#   ####E##',
+      '###########'
+    ]);
+    const area = findUnreached(room, start);
+    check(
+      area.length === 14 && !area.some(cell => cell.x <= 4) && !area.some(cell => cell.x === 8 && cell.y === 3),
+      'Finds the unreached area, keeping the walls next to reachable cells and the exit'
+    );
+    const opened = apply(room, fillUnreached(room, start, { seed: 5 }));
+    check(
+      unreachable(opened, start).length === 0 && opened[3][8] === 'E' && same(rows(opened).map(row => row.slice(0, 4)), rows(room).map(row => row.slice(0, 4))),
+      'Fills it with corridors joined to the hand-drawn ones and the exit'
+    );
+    check(fillUnreached(opened, start, { seed: 5 }).length === 0, 'Has nothing to fill once everything is reached');
+
+    console.log(`\nMaze fill test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze fill test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeFill()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeFill
+};
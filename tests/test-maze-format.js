@@ -0,0 +1,95 @@
+/**
+ * Tests for the maze file format helpers
+ *
+ * This script checks that single and multiple exits are read the same way,
+ * written back in their original shape, and marked in the playable layout
+ * without touching the file's own layout.
+ */
+
+const { CELLS, VALID_CELLS, getExits, formatExits, countCells, prepareLayout } = require('../js/maze-format');
+
+/**
+ * Run maze format tests
+ */
+function testMazeFormat() {
+  try {
+    console.log('Testing maze format...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const layout = [
+      '#####',
+      '# K #',
+      '#D#C#',
+      '#   #',
+      '#####'
+    ].map(row => row.split(''));
+
+    const single = { exit: { x: 3, y: 3 }, layout };
+    const multiple = { exit: [{ x: 1, y: 3 }, { x: 3, y: 3 }], layout };
+
+    check(
+      JSON.stringify(getExits(single)) === '[{"x":3,"y":3}]',
+      'Reads a single exit as a list of one'
+    );
+    check(getExits(multiple).length === 2, 'Reads a list of exits');
+    check(getExits({ layout }).length === 0, 'Reads a missing exit as no exits');
+
+    check(
+      JSON.stringify(formatExits(getExits(single))) === '{"x":3,"y":3}',
+      'Writes a single exit back as a plain position'
+    );
+    check(Array.isArray(formatExits(getExits(multiple))), 'Writes several exits back as a list');
+
+    const prepared = prepareLayout(multiple);
+    check(
+      prepared[3][1] === CELLS.EXIT && prepared[3][3] === CELLS.EXIT,
+      'Marks every exit in the playable layout'
+    );
+    check(layout[3][1] === ' ' && layout[3][3] === ' ', 'Leaves the file layout untouched');
+    check(
+      prepareLayout({ exit: { x: 9, y: 9 }, layout }).every((row, y) => row.join('') === layout[y].join('')),
+      'Ignores exits outside the layout'
+    );
+
+    check(
+      countCells(layout, CELLS.KEY) === 1 && countCells(layout, CELLS.DOOR) === 1 &&
+        countCells(prepared, CELLS.EXIT) === 2,
+      'Counts cells of each type'
+    );
+    check(
+      ['#', ' ', 'E', 'K', 'D', 'C'].every(cell => VALID_CELLS.includes(cell)) && VALID_CELLS.length === 6,
+      'Lists every valid cell'
+    );
+
+    console.log(`\nMaze format test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze format test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeFormat()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeFormat
+};
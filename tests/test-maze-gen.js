@@ -0,0 +1,156 @@
+/**
+ * Tests for the maze-gen command-line tool
+ *
+ * This script checks argument parsing, that generated files pass maze file
+ * validation and are reproducible from their seed, batch naming, and that
+ * existing files are only overwritten with --force.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, buildMazeFiles, writeMazeFiles, main } = require('../bin/maze-gen');
+const { isMazeSolvable } = require('./test-maze-generator');
+const { validateMaze } = require('./validate-maze');
+const { decodeLayout } = require('../js/maze-format');
+
+/**
+ * Run maze-gen tests
+ */
+function testMazeGen() {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maze-gen-'));
+
+  try {
+    console.log('Testing maze-gen command-line tool...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const throws = (args) => {
+      try {
+        parseArgs(args);
+        return false;
+      } catch (err) {
+        return true;
+      }
+    };
+
+    // Argument parsing
+    const options = parseArgs([
+      '--width', '31', '--height=25', '-a', 'prim', '--seed', '42',
+      '--name', 'Prim Maze', '--out', path.join(outDir, 'prim.json')
+    ]);
+    check(
+      options.width === 31 && options.height === 25 && options.algorithm === 'prim' &&
+        options.seed === '42' && options.name === 'Prim Maze' && options.count === 1,
+      'Parses long, short and --option=value arguments'
+    );
+    check(throws(['--algorithm', 'no-such-algorithm']), 'Rejects an unknown algorithm');
+    check(throws(['--width', 'wide']) && throws(['--width', '2']), 'Rejects an invalid width');
+    check(throws(['--braid', '2']), 'Rejects a braid fraction above 1');
+    check(throws(['--colour', 'red']), 'Rejects an unknown option');
+    check(throws(['--count', '3']), 'Rejects --count without --out');
+    check(throws(['--layout', 'grid']), 'Rejects an unknown layout encoding');
+
+    // Generated files follow the maze file format and replay from the seed
+    const [file] = buildMazeFiles(options);
+    check(validateMaze(file.data, 'prim.json').success, 'Generated file passes maze file validation');
+    check(isMazeSolvable(decodeLayout(file.data.layout)), 'Generated maze is solvable');
+    check(
+      file.data.layout.every(row => typeof row === 'string') &&
+        JSON.stringify(buildMazeFiles(Object.assign({}, options, { layout: 'cells' }))[0].data.layout) ===
+          JSON.stringify(decodeLayout(file.data.layout)),
+      'Writes rows as strings unless cells are asked for'
+    );
+    check(
+      file.data.name === 'Prim Maze' && file.data.seed === 42 && file.data.algorithm === 'prim',
+      'Generated file records its name, seed and algorithm'
+    );
+    check(
+      JSON.stringify(buildMazeFiles(options)[0].data) === JSON.stringify(file.data),
+      'Generated file is reproducible from its seed'
+    );
+
+    // Batches number their files, names and seeds
+    const batch = buildMazeFiles(parseArgs([
+      '-w', '11', '-h', '11', '--seed', '7', '--count', '3',
+      '--name', 'Batch {n}', '--out', path.join(outDir, 'batch.json')
+    ]));
+    check(
+      batch.map(entry => path.basename(entry.path)).join() === 'batch-1.json,batch-2.json,batch-3.json' &&
+        batch.map(entry => entry.data.name).join() === 'Batch 1,Batch 2,Batch 3' &&
+        batch.map(entry => entry.data.seed).join() === '7,8,9',
+      'Batch output numbers its files, names and seeds'
+    );
+
+    // Writing refuses to overwrite without --force
+    check(writeMazeFiles(batch, { force: false }), 'Writes a batch of new files');
+    const written = JSON.parse(fs.readFileSync(batch[1].path, 'utf8'));
+    check(JSON.stringify(written) === JSON.stringify(batch[1].data), 'Written file matches the generated maze');
+
+    fs.writeFileSync(batch[0].path, 'keep me');
+    check(!writeMazeFiles(batch, { force: false }), 'Refuses to overwrite existing files');
+    check(fs.readFileSync(batch[0].path, 'utf8') === 'keep me', 'Existing file is left untouched');
+    check(writeMazeFiles(batch, { force: true }), 'Overwrites existing files with --force');
+
+    // Invalid output is never written
+    const broken = [{ path: path.join(outDir, 'broken.json'), data: Object.assign({}, file.data, { width: 3 }) }];
+    check(!writeMazeFiles(broken, { force: true }) && !fs.existsSync(broken[0].path), 'Does not write a maze that fails validation');
+
+    // A maze printed to stdout is nothing but the maze file
+    let printed = '';
+    const write = process.stdout.write;
+    const log = console.log;
+    process.stdout.write = chunk => {
+      printed += chunk;
+      return true;
+    };
+    let status;
+    try {
+      status = main(['-w', '9', '-h', '9', '--seed', '3']);
+    } finally {
+      process.stdout.write = write;
+    }
+    let parsed = null;
+    try {
+      parsed = JSON.parse(printed);
+    } catch (err) {
+      parsed = null;
+    }
+    check(
+      status === 0 && parsed !== null && parsed.seed === 3 && console.log === log,
+      'Prints only the maze JSON to stdout'
+    );
+
+    console.log(`\nMaze-gen test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze-gen test error:', err.message);
+    return false;
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeGen()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeGen
+};
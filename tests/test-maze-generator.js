@@ -5,207 +5,10 @@
  * it creates valid, solvable mazes.
  */
 
-/**
- * Improved implementation of the maze generation algorithm for testing
- * This version guarantees a path from start to exit
- * @param {number} width - Width of the maze
- * @param {number} height - Height of the maze
- * @returns {Array} 2D array representing the maze
- */
-function generateTestMaze(width, height) {
-  // Initialize maze with all walls
-  let maze = Array(height)
-    .fill()
-    .map(() => Array(width).fill('#'));
-
-  // Define start and exit points
-  const startX = 1;
-  const startY = 1;
-  const exitX = width - 2;
-  const exitY = height - 2;
-
-  // Mark the start position
-  maze[startY][startX] = ' ';
-
-  // Use a modified DFS algorithm to ensure a path from start to exit
-  const visited = new Set();
-  visited.add(`${startX},${startY}`);
-  
-  // First, ensure there's a path from start to exit
-  const pathToExit = ensurePathExists(maze, startX, startY, exitX, exitY, visited, width, height);
-  
-  if (!pathToExit) {
-    console.error("Failed to create a path to exit. This should not happen.");
-    // If for some reason we can't create a path, mark the exit cell anyway
-    maze[exitY][exitX] = ' ';
-  }
-  
-  // Then, fill in the rest of the maze with the regular algorithm
-  fillRemainingMaze(maze, visited, width, height);
-
-  // Set exit cell
-  maze[exitY][exitX] = 'E';
-
-  return maze;
-}
-
-/**
- * Ensure a path exists from start to exit
- * @param {Array} maze - The maze being generated
- * @param {number} startX - Starting X position
- * @param {number} startY - Starting Y position
- * @param {number} exitX - Exit X position
- * @param {number} exitY - Exit Y position
- * @param {Set} visited - Set of visited cells
- * @param {number} width - Maze width
- * @param {number} height - Maze height
- * @returns {boolean} - Whether a path was successfully created
- */
-function ensurePathExists(maze, startX, startY, exitX, exitY, visited, width, height) {
-  // Use a modified version of the DFS algorithm that prioritizes moving towards the exit
-  
-  // If we've reached very close to the exit, make the final connection
-  if (Math.abs(startX - exitX) <= 2 && Math.abs(startY - exitY) <= 2) {
-    // Make a direct path to the exit
-    const dx = exitX - startX;
-    const dy = exitY - startY;
-    
-    // Carve a straight path
-    if (dx !== 0) {
-      // Horizontal connection
-      const stepX = dx > 0 ? 1 : -1;
-      for (let x = startX + stepX; x !== exitX + stepX; x += stepX) {
-        maze[startY][x] = ' ';
-        visited.add(`${x},${startY}`);
-      }
-    }
-    
-    if (dy !== 0) {
-      // Vertical connection
-      const stepY = dy > 0 ? 1 : -1;
-      for (let y = startY + stepY; y !== exitY + stepY; y += stepY) {
-        maze[y][exitX] = ' ';
-        visited.add(`${exitX},${y}`);
-      }
-    }
-    
-    return true;
-  }
-  
-  // Directions to try, prioritizing moving towards the exit
-  const directions = [
-    { dx: 0, dy: -2 }, // Up
-    { dx: 2, dy: 0 },  // Right
-    { dx: 0, dy: 2 },  // Down
-    { dx: -2, dy: 0 }  // Left
-  ];
-  
-  // Sort directions based on how much closer they get us to the exit
-  directions.sort((a, b) => {
-    const distA = Math.abs((startX + a.dx) - exitX) + Math.abs((startY + a.dy) - exitY);
-    const distB = Math.abs((startX + b.dx) - exitX) + Math.abs((startY + b.dy) - exitY);
-    return distA - distB;
-  });
-  
-  for (const dir of directions) {
-    const nx = startX + dir.dx;
-    const ny = startY + dir.dy;
-    
-    // Skip if out of bounds or already visited
-    if (!isValidCell(nx, ny, width, height) || visited.has(`${nx},${ny}`)) {
-      continue;
-    }
-    
-    // Carve the path
-    maze[startY + dir.dy/2][startX + dir.dx/2] = ' ';
-    maze[ny][nx] = ' ';
-    visited.add(`${nx},${ny}`);
-    
-    // Recursively continue path finding
-    if (ensurePathExists(maze, nx, ny, exitX, exitY, visited, width, height)) {
-      return true;
-    }
-  }
-  
-  return false;
-}
-
-/**
- * Fill in the remaining maze with random paths
- * @param {Array} maze - The maze being generated
- * @param {Set} visited - Set of cells already visited
- * @param {number} width - Maze width
- * @param {number} height - Maze height
- */
-function fillRemainingMaze(maze, visited, width, height) {
-  // Standard DFS algorithm to fill in the rest of the maze
-  const stack = Array.from(visited).map(coord => {
-    const [x, y] = coord.split(',').map(Number);
-    return { x, y };
-  });
-  
-  while (stack.length > 0) {
-    const current = stack[stack.length - 1];
-    
-    // Check neighbors (up, right, down, left)
-    const neighbors = [];
-    const directions = [
-      { dx: 0, dy: -2 }, // Up
-      { dx: 2, dy: 0 }, // Right
-      { dx: 0, dy: 2 }, // Down
-      { dx: -2, dy: 0 }, // Left
-    ];
-    
-    for (const dir of directions) {
-      const nx = current.x + dir.dx;
-      const ny = current.y + dir.dy;
-      
-      // Check if neighbor is valid and unvisited
-      if (
-        isValidCell(nx, ny, width, height) &&
-        maze[ny][nx] === '#' &&
-        !visited.has(`${nx},${ny}`)
-      ) {
-        neighbors.push({
-          x: nx,
-          y: ny,
-          dx: dir.dx / 2,
-          dy: dir.dy / 2,
-        });
-      }
-    }
-    
-    if (neighbors.length > 0) {
-      // Choose a random neighbor
-      const next = neighbors[Math.floor(Math.random() * neighbors.length)];
-      
-      // Create path between current and next
-      maze[current.y + next.dy][current.x + next.dx] = ' ';
-      maze[next.y][next.x] = ' ';
-      
-      // Mark as visited
-      visited.add(`${next.x},${next.y}`);
-      
-      // Push next cell to stack
-      stack.push({ x: next.x, y: next.y });
-    } else {
-      // Dead end, backtrack
-      stack.pop();
-    }
-  }
-}
-
-/**
- * Check if a cell position is valid within the maze
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- * @param {number} width - Maze width
- * @param {number} height - Maze height
- * @returns {boolean} - Whether the position is valid
- */
-function isValidCell(x, y, width, height) {
-  return x > 0 && x < width - 1 && y > 0 && y < height - 1;
-}
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { generateMaze } = require('../js/maze-generator');
 
 /**
  * Check if the maze is valid
@@ -348,6 +151,49 @@ function isMazeSolvable(maze) {
   return false;
 }
 
+/**
+ * Check that seeded generation is deterministic
+ * @returns {boolean} Whether seeds reproduce their layouts
+ */
+function isSeedReproducible() {
+  const toText = maze => maze.map(row => row.join('')).join('\n');
+  
+  const first = toText(generateMaze(21, 21, { seed: 12345 }));
+  const second = toText(generateMaze(21, 21, { seed: 12345 }));
+  const fromString = toText(generateMaze(21, 21, { seed: '12345' }));
+  const otherSeed = toText(generateMaze(21, 21, { seed: 54321 }));
+  const textSeed = toText(generateMaze(21, 21, { seed: 'bug-report' }));
+  
+  return first === second &&
+    first === fromString &&
+    first !== otherSeed &&
+    textSeed === toText(generateMaze(21, 21, { seed: 'bug-report' })) &&
+    isMazeSolvable(generateMaze(21, 21, { seed: 12345 }));
+}
+
+/**
+ * Check that the generator module works when loaded as a plain script
+ * @returns {boolean} Whether the global exposes the generator functions
+ */
+function loadsAsBrowserGlobal() {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  
+  // Same load order as the <script> tags in the HTML pages
+  for (const file of ['maze-algorithms.js', 'maze-braid.js', 'maze-generator.js']) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    vm.runInContext(source, sandbox);
+  }
+  
+  const api = sandbox.MazeGenerator;
+  return !!api &&
+    ['generateMaze', 'ensurePathExists', 'fillRemainingMaze', 'isValidCell']
+      .every(name => typeof api[name] === 'function') &&
+    isMazeValid(api.generateMaze(9, 9)) &&
+    isMazeValid(api.generateMaze(9, 9, { algorithm: 'prim', braid: 0.5 }));
+}
+
 /**
  * Run maze generation tests
  */
@@ -368,8 +214,8 @@ function testMazeGeneration() {
     for (const size of testSizes) {
       console.log(`\nGenerating ${size.width}x${size.height} maze...`);
       
-      // Generate a test maze
-      const maze = generateTestMaze(size.width, size.height);
+      // Generate a maze with the shared generator
+      const maze = generateMaze(size.width, size.height);
       
       // Check if it's valid
       const isValid = isMazeValid(maze);
@@ -392,6 +238,24 @@ function testMazeGeneration() {
       }
     }
     
+    // Seeded generation must be reproducible
+    if (isSeedReproducible()) {
+      console.log('✅ Same seed produces the same maze');
+      passCount++;
+    } else {
+      console.error('❌ Same seed produced different mazes');
+      failCount++;
+    }
+    
+    // The browser pages load the same file with a <script> tag
+    if (loadsAsBrowserGlobal()) {
+      console.log('✅ Generator module exposes a MazeGenerator global in the browser');
+      passCount++;
+    } else {
+      console.error('❌ Generator module does not expose a MazeGenerator global');
+      failCount++;
+    }
+    
     console.log(`\nMaze generation test results: ${passCount} passed, ${failCount} failed`);
     return failCount === 0;
   } catch (err) {
@@ -410,7 +274,6 @@ if (require.main === module) {
 }
 
 module.exports = {
-  generateTestMaze,
   isMazeValid,
   isMazeSolvable,
   testMazeGeneration
@@ -0,0 +1,148 @@
+/**
+ * Tests for the editor undo history
+ *
+ * This script checks that edits are undone and redone as whole strokes,
+ * that the start, exits and whole-layout snapshots come back with them, and
+ * that the history stays within its limits.
+ */
+
+const { EditHistory } = require('../js/maze-history');
+
+/**
+ * Run editor history tests
+ */
+function testMazeHistory() {
+  try {
+    console.log('Testing editor undo history...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // A small editor state, changed the way the editor does
+    const createState = () => ({
+      width: 5,
+      height: 4,
+      maze: ['#####', '#   #', '#  E#', '#####'].map(row => row.split('')),
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exits: [{ x: 3, y: 2 }],
+      collectAll: false
+    });
+    const rows = state => state.maze.map(row => row.join(''));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const setCell = (history, state, x, y, cell) => {
+      history.recordCell(x, y, state.maze[y][x], cell);
+      state.maze[y][x] = cell;
+    };
+
+    // One stroke is one edit
+    let history = new EditHistory();
+    let state = createState();
+    history.begin('Wall', state);
+    setCell(history, state, 2, 1, '#');
+    setCell(history, state, 3, 1, '#');
+    setCell(history, state, 2, 1, ' ');
+    setCell(history, state, 2, 1, '#');
+    check(!history.canUndo, 'Nothing can be undone while a stroke is open');
+    check(history.commit(state) && history.undoStack.length === 1, 'Records a stroke as one edit');
+    check(history.undoStack[0].cells.length === 2, 'Keeps one change per cell');
+
+    check(history.undo(state) === 'Wall' && same(rows(state), rows(createState())), 'Undoes the whole stroke');
+    check(history.canRedo && history.redoLabel === 'Wall', 'Offers to redo it');
+    check(history.redo(state) === 'Wall' && rows(state)[1] === '# ###' && history.undoLabel === 'Wall', 'Redoes it');
+    check(history.redo(state) === null, 'Has nothing more to redo');
+
+    // Start and exits
+    history.begin('Start', state);
+    state.playerStart.x = 2;
+    state.playerStart.y = 2;
+    state.exits.push({ x: 1, y: 2 });
+    setCell(history, state, 1, 2, 'E');
+    history.commit(state);
+    history.undo(state);
+    check(
+      same(state.playerStart, { x: 1, y: 1, direction: 1 }) && same(state.exits, [{ x: 3, y: 2 }]) && state.maze[2][1] === ' ',
+      'Puts the start and exits back'
+    );
+    history.redo(state);
+    check(state.playerStart.x === 2 && state.exits.length === 2, 'Moves them again on redo');
+
+    // A new edit clears the redo stack; an empty one isn't recorded
+    history.undo(state);
+    history.begin('Path', state);
+    setCell(history, state, 2, 1, ' ');
+    history.commit(state);
+    check(!history.canRedo, 'A new edit replaces anything that was undone');
+    history.begin('Path', state);
+    setCell(history, state, 2, 1, ' ');
+    check(!history.commit(state) && history.undoStack.length === 2, 'Skips an edit that changed nothing');
+
+    // Snapshots
+    state = createState();
+    history = new EditHistory();
+    history.begin('Resize', state, { snapshot: true });
+    state.width = 7;
+    state.maze = ['#######', '#     #', '#     #', '#######'].map(row => row.split(''));
+    history.commit(state);
+    history.undo(state);
+    check(state.width === 5 && same(rows(state), rows(createState())), 'Restores a resized layout');
+    history.redo(state);
+    check(state.width === 7 && rows(state)[1] === '#     #', 'Resizes again on redo');
+    state.maze[1][1] = '#';
+    history.undo(state);
+    history.redo(state);
+    check(state.maze[1][1] === ' ', 'Snapshots are copies, not the live layout');
+
+    // Limits
+    history = new EditHistory({ limit: 3 });
+    state = createState();
+    ['#', ' ', '#', ' ', '#'].forEach(cell => {
+      history.begin('Wall', state);
+      setCell(history, state, 1, 1, cell);
+      history.commit(state);
+    });
+    check(history.undoStack.length === 3, 'Keeps at most the configured number of edits');
+
+    history = new EditHistory({ maxCells: 50 });
+    state = createState();
+    for (let i = 0; i < 3; i++) {
+      history.begin('Resize', state, { snapshot: true });
+      state.maze = state.maze.map(row => row.slice());
+      state.maze[1][1] = i % 2 ? ' ' : '#';
+      history.commit(state);
+    }
+    check(history.undoStack.length === 1, 'Drops the oldest edits once they hold too many cells');
+
+    history.begin('Wall', state);
+    history.clear();
+    check(!history.canUndo && !history.canRedo && history.pending === null, 'Clears everything');
+
+    console.log(`\nEditor history test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Editor history test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeHistory()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeHistory
+};
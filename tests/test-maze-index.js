@@ -0,0 +1,102 @@
+/**
+ * Tests for the maze manifest (mazes/index.json)
+ *
+ * This script checks that the committed manifest matches the maze files on
+ * disk, that every entry points at a playable maze, and that difficulty and
+ * tags given in a maze file win over the derived ones.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildMazeIndex, formatMazeIndex, getSolutionLength } = require('../bin/maze-index');
+
+const mazeDir = path.join(__dirname, '..', 'mazes');
+
+/**
+ * Run manifest tests
+ */
+function testMazeIndex() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maze-index-'));
+
+  try {
+    console.log('Testing maze manifest...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // The committed manifest is current
+    const committed = fs.readFileSync(path.join(mazeDir, 'index.json'), 'utf8');
+    check(
+      committed === formatMazeIndex(buildMazeIndex(mazeDir)),
+      'mazes/index.json is up to date (run npm run mazes:index if not)'
+    );
+
+    // Every maze file is listed, and every entry is complete and playable
+    const manifest = JSON.parse(committed);
+    const mazeFiles = fs.readdirSync(mazeDir).filter(file => file.endsWith('.json') && file !== 'index.json');
+    check(
+      manifest.mazes.map(entry => entry.file).sort().join() === mazeFiles.sort().join(),
+      `Lists all ${mazeFiles.length} maze files`
+    );
+
+    const incomplete = manifest.mazes.filter(entry => {
+      const maze = JSON.parse(fs.readFileSync(path.join(mazeDir, entry.file), 'utf8'));
+      return !entry.name || !['easy', 'medium', 'hard'].includes(entry.difficulty) ||
+        !Array.isArray(entry.tags) || entry.size.width !== maze.width ||
+        entry.size.height !== maze.height || getSolutionLength(maze) < 0;
+    });
+    check(
+      incomplete.length === 0,
+      incomplete.length === 0
+        ? 'Every entry has a name, size, difficulty and tags and can be solved'
+        : `Incomplete entries: ${incomplete.map(entry => entry.file).join(', ')}`
+    );
+
+    // Values stored in a maze file are used as-is; placeholders are skipped
+    const tiny = JSON.parse(fs.readFileSync(path.join(mazeDir, 'tiny.json'), 'utf8'));
+    fs.writeFileSync(path.join(tempDir, 'tagged.json'),
+      JSON.stringify(Object.assign({}, tiny, { difficulty: 'hard', tags: ['custom'] })));
+    fs.writeFileSync(path.join(tempDir, 'pending.json'),
+      JSON.stringify(Object.assign({}, tiny, { layout: 'PROCEDURAL' })));
+    fs.writeFileSync(path.join(tempDir, 'index.json'), '{"mazes": []}');
+
+    const custom = buildMazeIndex(tempDir).mazes;
+    check(
+      custom.length === 1 && custom[0].file === 'tagged.json' &&
+        custom[0].difficulty === 'hard' && custom[0].tags.join() === 'custom',
+      'Uses difficulty and tags from the maze file and skips placeholders'
+    );
+
+    console.log(`\nManifest test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Manifest test error:', err.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeIndex()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeIndex
+};
@@ -0,0 +1,153 @@
+/**
+ * Tests for maze regions and transforms
+ *
+ * This script checks copying, turning and mirroring rectangles of cells,
+ * the rectangle and room shapes, where pasted cells land, and that turning
+ * or mirroring a whole maze keeps it solvable with the start and exits
+ * moved along.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  TRANSFORMS,
+  getRect,
+  copyCells,
+  transformCells,
+  shapeCells,
+  placeCells,
+  transformMaze
+} = require('../js/maze-region');
+const { prepareLayout, getExits } = require('../js/maze-format');
+const { getSolutionLength } = require('../js/maze-solver');
+
+/**
+ * Run maze region tests
+ */
+function testMazeRegion() {
+  try {
+    console.log('Testing maze regions and transforms...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const grid = rows => rows.map(row => row.split(''));
+    const rows = cells => cells.map(row => row.join(''));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Rectangles and copies
+    check(same(getRect({ x: 4, y: 1 }, { x: 2, y: 3 }), { x: 2, y: 1, width: 3, height: 3 }), 'Spans a rectangle dragged in any direction');
+
+    const layout = grid([
+      '######',
+      '#K  E#',
+      '# ## #',
+      '#C   #',
+      '######'
+    ]);
+    const copied = copyCells(layout, { x: 1, y: 1, width: 4, height: 2 });
+    check(same(rows(copied), ['K   ', ' ## ']), 'Copies the cells in a rectangle, exits as floor');
+    copied[0][0] = '#';
+    check(layout[1][1] === 'K', 'Copies rather than shares the cells');
+
+    // Turning and mirroring
+    const region = grid(['AB', 'CD', 'EF']);
+    check(same(rows(transformCells(region, TRANSFORMS.ROTATE)), ['ECA', 'FDB']), 'Turns a region a quarter clockwise');
+    check(
+      same(rows([1, 2, 3, 4].reduce(cells => transformCells(cells, TRANSFORMS.ROTATE), region)), rows(region)),
+      'Four turns bring a region back'
+    );
+    check(same(rows(transformCells(region, TRANSFORMS.FLIP_HORIZONTAL)), ['BA', 'DC', 'FE']), 'Mirrors a region left to right');
+    check(same(rows(transformCells(region, TRANSFORMS.FLIP_VERTICAL)), ['EF', 'CD', 'AB']), 'Mirrors a region top to bottom');
+    check(same(rows(region), ['AB', 'CD', 'EF']), 'Leaves the original region alone');
+
+    // Shapes
+    check(same(rows(shapeCells(3, 2, ' ')), ['   ', '   ']), 'Fills a rectangle with one cell');
+    check(same(rows(shapeCells(4, 3, '#', true)), ['####', '#  #', '####']), 'Draws a room as a wall around open floor');
+
+    // Pasting stays inside the outer wall
+    const placed = placeCells(6, 5, grid(['ab', 'cd']), 4, 3);
+    check(same(placed, [{ x: 4, y: 3, cell: 'a' }]), 'Leaves out cells on the outer wall or off the maze');
+
+    // Whole mazes
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const spiral = JSON.parse(fs.readFileSync(path.join(mazeDir, 'spiral.json'), 'utf8'));
+    const state = {
+      width: spiral.width,
+      height: spiral.height,
+      maze: prepareLayout(spiral),
+      playerStart: spiral.playerStart,
+      exits: getExits(spiral)
+    };
+    const routeLength = maze => getSolutionLength(maze.maze, maze.playerStart);
+    const originalLength = routeLength(state);
+
+    const wide = {
+      width: 7,
+      height: 5,
+      maze: grid(['#######', '#     #', '#     #', '#    E#', '#######']),
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exits: [{ x: 5, y: 3 }]
+    };
+    const turned = transformMaze(wide, TRANSFORMS.ROTATE);
+    check(
+      turned.width === 5 && turned.height === 7 && same(turned.playerStart, { x: 3, y: 1, direction: 2 }) &&
+        same(turned.exits, [{ x: 1, y: 5 }]) && turned.maze[5][1] === 'E',
+      'Turns a maze with its start and exits'
+    );
+
+    const mirrored = transformMaze(wide, TRANSFORMS.FLIP_HORIZONTAL);
+    check(
+      same(mirrored.playerStart, { x: 5, y: 1, direction: 3 }) && same(mirrored.exits, [{ x: 1, y: 3 }]),
+      'Mirrors a maze left to right, facing the other way'
+    );
+    check(
+      transformMaze(wide, TRANSFORMS.FLIP_VERTICAL).playerStart.direction === 1 &&
+        transformMaze(Object.assign({}, wide, { playerStart: { x: 1, y: 1, direction: 0 } }), TRANSFORMS.FLIP_VERTICAL).playerStart.direction === 2,
+      'Mirroring top to bottom turns only north and south around'
+    );
+
+    const lengths = Object.values(TRANSFORMS).map(transform => routeLength(transformMaze(state, transform)));
+    check(
+      originalLength > 0 && lengths.every(length => length === originalLength),
+      'The spiral keeps its shortest route however it is turned or mirrored'
+    );
+
+    let caught = '';
+    try {
+      transformCells(region, 'shear');
+    } catch (err) {
+      caught = err.message;
+    }
+    check(caught === 'Unknown transform: shear', 'Rejects an unknown transform');
+
+    console.log(`\nMaze region test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze region test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeRegion()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeRegion
+};
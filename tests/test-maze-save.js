@@ -0,0 +1,112 @@
+/**
+ * Tests for saving and resuming unfinished runs
+ *
+ * This script stores runs in an in-memory storage backend and checks that
+ * they come back intact, that broken saves are ignored, and that a resumed
+ * session carries on counting from where it stopped.
+ */
+
+const { SaveSlot, isValidSave } = require('../js/maze-save');
+const { createMemoryStorage } = require('../js/maze-scores');
+const { GameSession } = require('../js/maze-session');
+const { generateMaze } = require('../js/maze-generator');
+
+/**
+ * Run save tests
+ */
+function testMazeSave() {
+  try {
+    console.log('Testing saved games...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // A random maze part-way through, as MazeGame.getSaveState() builds it
+    let clock = 0;
+    const session = new GameSession({ now: () => clock });
+    session.recordMove();
+    session.recordMove();
+    session.recordTurn();
+    clock = 42000;
+
+    const layout = generateMaze(15, 15, { seed: 99, algorithm: 'prim' });
+    const state = {
+      name: 'Random Maze 99 (15×15)',
+      mazeData: {
+        name: 'Random Maze 99 (15×15)',
+        width: 15,
+        height: 15,
+        playerStart: { x: 1, y: 1, direction: 0 },
+        exit: { x: 13, y: 13 },
+        layout
+      },
+      source: { seed: 99, width: 15, height: 15, algorithm: 'prim', braid: 0, loops: 0 },
+      player: { x: 1, y: 1, direction: 2 },
+      visited: [[1, 1]],
+      stats: session.toJSON()
+    };
+
+    const storage = createMemoryStorage();
+    const slot = new SaveSlot(storage);
+    check(slot.load() === null, 'Empty slot has nothing to resume');
+
+    slot.save(state);
+    const loaded = new SaveSlot(storage).load();
+    check(
+      loaded !== null && JSON.stringify(loaded.mazeData.layout) === JSON.stringify(layout) &&
+        loaded.player.direction === 2 && loaded.source.seed === 99 && typeof loaded.savedAt === 'string',
+      'Saved run comes back with its maze, position and seed'
+    );
+
+    // Resumed sessions keep counting from the saved stats
+    clock = 100000;
+    const resumed = new GameSession({ now: () => clock, resume: loaded.stats });
+    resumed.recordMove();
+    clock = 103000;
+    const stats = resumed.getStats();
+    check(
+      stats.moves === 3 && stats.turns === 1 && stats.elapsed === 45000,
+      'Resumed session carries on from the saved time and counts'
+    );
+
+    // Broken or mismatched saves are ignored rather than crashing the game
+    storage.setItem('mazeSavedGame', '{not json');
+    check(slot.load() === null, 'Ignores an unreadable save');
+    check(!isValidSave(Object.assign({}, state, { version: 1, player: { x: 0, y: 0, direction: 0 } })),
+      'Rejects a save with the player inside a wall');
+    check(!isValidSave(Object.assign({}, state, { version: 99 })), 'Rejects a save from another format version');
+
+    slot.save(state);
+    slot.clear();
+    check(slot.load() === null, 'Clearing removes the saved run');
+
+    console.log(`\nSave test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Save test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeSave()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeSave
+};
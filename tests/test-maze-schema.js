@@ -0,0 +1,183 @@
+/**
+ * Tests for maze file versioning and validation
+ *
+ * This script checks that older maze files are upgraded to the current
+ * version, that problems are reported with their path and code, and that
+ * schema/maze.schema.json matches the schema the code validates against.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  CURRENT_VERSION,
+  SCHEMA,
+  getVersion,
+  migrateMaze,
+  validateMaze,
+  loadMaze,
+  hasStructureErrors,
+  formatError
+} = require('../js/maze-schema');
+
+/**
+ * Run maze schema tests
+ */
+function testMazeSchema() {
+  try {
+    console.log('Testing maze schema...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // An unversioned (version 1) file, as written before the version field
+    const legacy = {
+      name: 'Legacy',
+      width: 5,
+      height: 5,
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exit: { x: 3, y: 3 },
+      layout: [
+        '#####',
+        '#   #',
+        '### #',
+        '#   #',
+        '#####'
+      ].map(row => row.split(''))
+    };
+    const copy = maze => JSON.parse(JSON.stringify(maze));
+    const codes = errors => errors.map(error => `${error.path}:${error.code}`).sort().join(' ');
+
+    // Migration
+    check(getVersion(legacy) === 1, 'Treats a file without a version as version 1');
+    const migrated = migrateMaze(legacy);
+    check(
+      migrated.version === CURRENT_VERSION && migrated.exit === legacy.exit && legacy.version === undefined,
+      'Upgrades an old file to the current version without changing the original'
+    );
+    check(migrateMaze(migrated) === migrated, 'Leaves a current file as it is');
+    const loaded = loadMaze(legacy);
+    check(loaded.errors.length === 0 && loaded.migratedFrom === 1, 'Loads an old file and reports its version');
+    check(loadMaze(migrated).migratedFrom === null, 'Reports no migration for a current file');
+
+    // Schema errors carry a path and code
+    const badStart = copy(migrated);
+    badStart.playerStart.direction = 5;
+    delete badStart.playerStart.y;
+    check(
+      codes(validateMaze(badStart)) === 'playerStart.direction:enum playerStart.y:required',
+      'Reports schema problems by path and code'
+    );
+    const scored = Object.assign(copy(migrated), { difficultyScore: 12 });
+    check(
+      validateMaze(scored).length === 0 &&
+        codes(validateMaze(Object.assign(scored, { difficultyScore: -1 }))) === 'difficultyScore:minimum',
+      'Accepts a saved difficulty score and rejects a negative one'
+    );
+
+    const badExits = copy(migrated);
+    badExits.exit = [{ x: 3, y: 3 }, { x: 'left' }];
+    check(
+      codes(validateMaze(badExits)) === 'exit[1].x:type exit[1].y:required',
+      'Checks each exit in a list'
+    );
+    badExits.exit = [];
+    check(codes(validateMaze(badExits)) === 'exit:minItems', 'Rejects an empty exit list');
+    badExits.exit = 'corner';
+    check(codes(validateMaze(badExits)) === 'exit:type', 'Rejects an exit that is neither a position nor a list');
+
+    const badCell = copy(migrated);
+    badCell.layout[1][2] = 'X';
+    const [cellError] = validateMaze(badCell);
+    check(
+      cellError.path === 'layout[1][2]' && cellError.code === 'enum' &&
+        formatError(cellError).startsWith('layout[1][2]: must be one of'),
+      'Points at an invalid layout cell'
+    );
+
+    const rows = Object.assign(copy(migrated), { layout: ['5#', '#3 #', '3# #', '#3 #', '5#'] });
+    check(validateMaze(rows).length === 0 && loadMaze(rows).maze.layout[1][2] === ' ', 'Accepts and decodes string rows');
+    rows.layout[1] = '#3X#';
+    check(codes(validateMaze(rows)) === 'layout[1]:pattern', 'Points at a string row with an invalid cell');
+
+    // Rules beyond the schema
+    const narrow = copy(migrated);
+    narrow.width = 6;
+    check(
+      codes(validateMaze(narrow)) === 'layout[0]:size layout[1]:size layout[2]:size layout[3]:size layout[4]:size',
+      'Reports rows that do not match the width'
+    );
+    check(
+      hasStructureErrors(validateMaze(narrow)) && hasStructureErrors(validateMaze(badStart)),
+      'Treats schema and size problems as structural'
+    );
+
+    const open = copy(migrated);
+    open.layout[2][0] = ' ';
+    check(codes(validateMaze(open)) === 'layout[2]:boundary', 'Reports a gap in the outer wall');
+
+    const walled = copy(migrated);
+    walled.exit = { x: 1, y: 2 };
+    check(codes(validateMaze(walled)) === 'exit:wall', 'Reports an exit inside a wall');
+
+    const blocked = copy(migrated);
+    blocked.layout[2][3] = 'D';
+    check(codes(validateMaze(blocked)) === 'layout:no-key', 'Reports doors without a key');
+    blocked.layout[1][2] = 'K';
+    check(validateMaze(blocked).length === 0, 'Accepts a door with a key to open it');
+
+    const unreachable = copy(migrated);
+    unreachable.layout[2][3] = '#';
+    check(codes(validateMaze(unreachable)) === 'exit:unreachable', 'Reports an exit that cannot be reached');
+    check(!hasStructureErrors(validateMaze(unreachable)), 'An unreachable exit still leaves the maze editable');
+
+    const noItems = Object.assign(copy(migrated), { collectAll: true });
+    check(codes(validateMaze(noItems)) === 'collectAll:no-items', 'Reports collectAll without items');
+    const manyItems = {
+      version: CURRENT_VERSION,
+      name: 'Many items',
+      width: 13,
+      height: 3,
+      playerStart: { x: 1, y: 1, direction: 1 },
+      exit: { x: 11, y: 1 },
+      collectAll: true,
+      layout: ['#############', '# CCCCCCCCCE#', '#############']
+    };
+    check(validateMaze(manyItems).length === 0, 'Accepts a collect-all maze with more items than one search tracks');
+
+    const future = Object.assign(copy(migrated), { version: CURRENT_VERSION + 1 });
+    check(codes(loadMaze(future).errors) === 'version:version', 'Refuses a file from a newer version');
+
+    // The published schema document matches the code
+    const published = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', 'maze.schema.json'), 'utf8'));
+    check(JSON.stringify(published) === JSON.stringify(SCHEMA), 'schema/maze.schema.json is up to date');
+
+    console.log(`\nMaze schema test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Maze schema test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeSchema()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeSchema
+};
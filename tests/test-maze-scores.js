@@ -0,0 +1,114 @@
+/**
+ * Tests for high scores and personal bests
+ *
+ * This script runs the score board against an in-memory storage backend and
+ * checks score keys, record keeping, and export/import of the score table.
+ */
+
+const { ScoreBoard, getScoreKey, createMemoryStorage } = require('../js/maze-scores');
+
+/**
+ * Run score tests
+ */
+function testMazeScores() {
+  try {
+    console.log('Testing high scores...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const throws = (fn) => {
+      try {
+        fn();
+        return false;
+      } catch (err) {
+        return true;
+      }
+    };
+
+    // Keys
+    check(getScoreKey({ file: 'mazes/medium.json' }) === 'file:mazes/medium.json', 'Keys maze files by path');
+    check(
+      getScoreKey({ seed: 42, width: 21, height: 21, algorithm: 'prim' }) === 'seed:42:21x21:prim' &&
+        getScoreKey({ seed: 42, width: 21, height: 21, algorithm: 'prim', braid: 0.5 }) !==
+          getScoreKey({ seed: 42, width: 21, height: 21, algorithm: 'prim' }),
+      'Keys random mazes by seed, size and generator settings'
+    );
+    check(getScoreKey({}) === null, 'Unsaved mazes have no key');
+
+    // Records
+    const storage = createMemoryStorage();
+    const board = new ScoreBoard(storage);
+    const key = 'file:mazes/tiny.json';
+    check(board.get(key) === null, 'Unplayed maze has no score');
+
+    const first = board.record(key, { elapsed: 30000, moves: 20 }, 'Tiny Maze');
+    check(first.isBestTime && first.isFewestMoves && first.completions === 1, 'First run sets both records');
+
+    const slower = board.record(key, { elapsed: 45000, moves: 12 });
+    check(
+      !slower.isBestTime && slower.isFewestMoves && slower.bestTime === 30000 && slower.fewestMoves === 12,
+      'Time and moves records are kept separately'
+    );
+    check(new ScoreBoard(storage).get(key).completions === 2, 'Scores persist in the storage backend');
+
+    storage.setItem('mazeHighScores', 'not json');
+    check(JSON.stringify(board.getAll()) === '{}', 'Unreadable storage counts as no scores');
+
+    // Export and import keep the better value of each record
+    const other = new ScoreBoard(createMemoryStorage());
+    other.record(key, { elapsed: 25000, moves: 15 }, 'Tiny Maze');
+    other.record('seed:7:11x11:dfs', { elapsed: 9000, moves: 30 }, 'Random Maze 7');
+
+    const mine = new ScoreBoard(createMemoryStorage());
+    mine.record(key, { elapsed: 40000, moves: 10 }, 'Tiny Maze');
+    const count = mine.importJSON(other.exportJSON());
+    const merged = mine.get(key);
+    check(
+      count === 2 && merged.bestTime === 25000 && merged.fewestMoves === 10 &&
+        mine.get('seed:7:11x11:dfs').fewestMoves === 30,
+      'Import merges the best of both tables'
+    );
+
+    const before = mine.exportJSON();
+    check(
+      throws(() => mine.importJSON('{oops')) &&
+        throws(() => mine.importJSON('{"version": 1}')) &&
+        throws(() => mine.importJSON('{"scores": {"a": {"bestTime": "fast"}}}')),
+      'Rejects malformed score files'
+    );
+    check(mine.exportJSON() === before, 'A rejected import leaves the scores unchanged');
+
+    mine.clear();
+    check(mine.get(key) === null, 'Clearing forgets every score');
+
+    console.log(`\nScore test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Score test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeScores()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeScores
+};
@@ -0,0 +1,96 @@
+/**
+ * Tests for game session statistics
+ *
+ * This script drives a session with a fake clock and checks the counters,
+ * the hint budget, that the clock stops when the exit is reached, and time
+ * formatting.
+ */
+
+const { HINT_BUDGET, GameSession, formatTime } = require('../js/maze-session');
+
+/**
+ * Run session tests
+ */
+function testMazeSession() {
+  try {
+    console.log('Testing game sessions...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    let clock = 1000;
+    const session = new GameSession({ optimalLength: 12, now: () => clock });
+
+    const fresh = session.getStats();
+    check(
+      fresh.moves === 0 && fresh.turns === 0 && fresh.bumps === 0 &&
+        fresh.elapsed === 0 && !fresh.completed && fresh.optimalLength === 12,
+      'New session starts empty with the optimal length'
+    );
+
+    session.recordMove();
+    session.recordMove();
+    session.recordTurn();
+    session.recordBump();
+    clock += 65000;
+    const running = session.getStats();
+    check(
+      running.moves === 2 && running.turns === 1 && running.bumps === 1,
+      'Counts moves, turns and wall bumps'
+    );
+    check(running.elapsed === 65000, 'Clock runs while playing');
+
+    session.complete();
+    clock += 5000;
+    session.recordMove();
+    session.complete();
+    const done = session.getStats();
+    check(done.completed && done.elapsed === 65000, 'Clock stops when the exit is reached');
+    check(done.moves === 2, 'Nothing is counted after completion');
+
+    check(new GameSession().optimalLength === -1, 'Optimal length defaults to unknown');
+
+    const hinted = new GameSession({ hintBudget: 2, resume: { hintsUsed: 1 } });
+    const spent = [hinted.recordHint(), hinted.recordHint()];
+    check(
+      same(spent, [true, false]) && hinted.getHintsLeft() === 0 && hinted.getStats().hintsUsed === 2 &&
+        hinted.toJSON().hintsUsed === 2 && new GameSession().getHintsLeft() === HINT_BUDGET,
+      'Counts hints against the budget for the run, carried over when resumed'
+    );
+    check(
+      formatTime(0) === '0:00' && formatTime(65000) === '1:05' && formatTime(600999) === '10:00',
+      'Formats elapsed time as m:ss'
+    );
+
+    console.log(`\nSession test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Session test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeSession()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeSession
+};
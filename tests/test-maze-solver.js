@@ -0,0 +1,170 @@
+/**
+ * Tests for the shortest-path search
+ *
+ * This script checks that the solver finds the shortest route to the nearest
+ * exit in hand-made layouts, every bundled maze and generated mazes, that it
+ * fetches keys before going through doors and collects items when asked, and
+ * reports unreachable exits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findShortestPath, getSolutionLength } = require('../js/maze-solver');
+const { generateMaze, listAlgorithms } = require('../js/maze-generator');
+const { prepareLayout } = require('../js/maze-format');
+
+/**
+ * Run solver tests
+ */
+function testMazeSolver() {
+  try {
+    console.log('Testing maze solver...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    // A loop with a short and a long way round, and a second, nearer exit
+    const layout = [
+      ['#', '#', '#', '#', '#', '#', '#'],
+      ['#', ' ', ' ', ' ', ' ', ' ', '#'],
+      ['#', ' ', '#', '#', '#', ' ', '#'],
+      ['#', ' ', ' ', ' ', '#', 'E', '#'],
+      ['#', '#', '#', 'E', '#', '#', '#'],
+      ['#', '#', '#', '#', '#', '#', '#']
+    ];
+    const route = findShortestPath(layout, { x: 1, y: 1 });
+    check(
+      route.length === 6 && route[0].x === 1 && route[0].y === 1 &&
+        route[5].x === 3 && route[5].y === 4,
+      'Finds the nearest of several exits'
+    );
+    check(
+      route.every((cell, i) => i === 0 ||
+        Math.abs(cell.x - route[i - 1].x) + Math.abs(cell.y - route[i - 1].y) === 1),
+      'Route moves one cell at a time'
+    );
+    check(
+      getSolutionLength(layout, { x: 1, y: 1 }, (x, y) => x === 5 && y === 3) === 6,
+      'Accepts a custom goal'
+    );
+
+    // Unreachable exits and starts inside walls
+    const walled = layout.map(row => row.slice());
+    walled[1][2] = '#';
+    walled[3][2] = '#';
+    check(findShortestPath(walled, { x: 1, y: 1 }) === null, 'Reports an unreachable exit');
+    check(getSolutionLength(layout, { x: 0, y: 0 }) === -1, 'Reports a start inside a wall');
+
+    // A door across the corridor with the key in a side room
+    const locked = [
+      '#######',
+      '#  D E#',
+      '# #####',
+      '#K#####',
+      '#######'
+    ].map(row => row.split(''));
+    const keyRoute = findShortestPath(locked, { x: 1, y: 1 });
+    check(
+      keyRoute && keyRoute.length === 9 && keyRoute.some(cell => cell.x === 1 && cell.y === 3),
+      'Fetches a key before going through a door'
+    );
+    locked[3][1] = ' ';
+    check(findShortestPath(locked, { x: 1, y: 1 }) === null, 'A door with no key blocks the way');
+
+    // Items off the direct route only matter when they all have to be collected
+    const items = [
+      '#######',
+      '#C   E#',
+      '### ###',
+      '###C###',
+      '#######'
+    ].map(row => row.split(''));
+    check(getSolutionLength(items, { x: 2, y: 1 }) === 3, 'Ignores items by default');
+    check(
+      getSolutionLength(items, { x: 2, y: 1 }, null, { collectAll: true }) === 9,
+      'Collects every item first when asked'
+    );
+
+    // More items than one search tracks: still finished, walking to the
+    // nearest item each time
+    const corridor = ['#' + ' ' + 'C'.repeat(9) + 'E' + '#'].map(row => row.split(''));
+    const wide = [corridor[0].map(() => '#'), corridor[0], corridor[0].map(() => '#')];
+    check(
+      getSolutionLength(wide, { x: 1, y: 1 }, null, { collectAll: true }) === 10,
+      'Walks a corridor of more than MAX_TRACKED_ITEMS items'
+    );
+    const scattered = [
+      '###########',
+      '#KCCC CCCC#',
+      '#####D#####',
+      '#    C   E#',
+      '###########'
+    ].map(row => row.split(''));
+    const scatteredRoute = findShortestPath(scattered, { x: 5, y: 1 }, null, { collectAll: true });
+    check(
+      scatteredRoute !== null && scatteredRoute[scatteredRoute.length - 1].x === 9 &&
+        scattered.every((row, y) => row.every((cell, x) =>
+          cell !== 'C' || scatteredRoute.some(step => step.x === x && step.y === y))) &&
+        scatteredRoute.findIndex(step => step.y === 3) > scatteredRoute.findIndex(step => step.y === 1 && step.x === 1),
+      'Fetches the key and every one of many items before the exit'
+    );
+    scattered[1][1] = ' ';
+    check(
+      findShortestPath(scattered, { x: 5, y: 1 }, null, { collectAll: true }) === null,
+      'Reports many items that can\'t all be reached'
+    );
+
+    // Every bundled maze can be finished
+    const mazeDir = path.join(__dirname, '..', 'mazes');
+    const unsolvable = fs.readdirSync(mazeDir)
+      .filter(file => file.endsWith('.json') && file !== 'index.json')
+      .filter(file => {
+        const maze = JSON.parse(fs.readFileSync(path.join(mazeDir, file), 'utf8'));
+        // The game marks the exits from the file's exit positions
+        const options = { collectAll: !!maze.collectAll };
+        return getSolutionLength(prepareLayout(maze), maze.playerStart, null, options) < 0;
+      });
+    check(
+      unsolvable.length === 0,
+      unsolvable.length === 0
+        ? 'Every bundled maze has a route to an exit'
+        : `No route to an exit in: ${unsolvable.join(', ')}`
+    );
+
+    // Generated perfect mazes: the only route is at least the Manhattan distance
+    const shortcuts = listAlgorithms().filter(algorithm => {
+      const maze = generateMaze(21, 21, { seed: 5, algorithm: algorithm.id });
+      return getSolutionLength(maze, { x: 1, y: 1 }) < 36;
+    });
+    check(shortcuts.length === 0, 'Generated mazes are solved with plausible lengths');
+
+    console.log(`\nSolver test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Solver test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeSolver()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeSolver
+};
@@ -0,0 +1,95 @@
+/**
+ * Tests for the minimap viewport
+ *
+ * This script checks that small mazes are scaled to fit the minimap, that
+ * larger ones follow the player without scrolling past the maze edges, and
+ * that zooming steps through the available cell sizes.
+ */
+
+const { getViewport, getAutoCellSize, getNextZoom, ZOOM_LEVELS } = require('../js/maze-viewport');
+
+/**
+ * Run viewport tests
+ */
+function testMazeViewport() {
+  try {
+    console.log('Testing minimap viewport...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
+      }
+    };
+
+    const map = { mapWidth: 200, mapHeight: 200 };
+
+    // A 15×15 maze fits at 13px a cell and is centred on the map
+    const small = getViewport(Object.assign({ mazeWidth: 15, mazeHeight: 15, centerX: 1, centerY: 1 }, map));
+    check(
+      small.cellSize === 13 && small.offsetX === 2 && small.offsetY === 2 &&
+        small.startX === 0 && small.endX === 14 && small.endY === 14,
+      'Small maze is scaled to fit and centred'
+    );
+    check(getAutoCellSize(5, 5, 200, 200) === 20, 'Tiny mazes are not blown up past the largest zoom');
+
+    // A 100×100 maze would be 2px a cell, so the map follows the player
+    check(getAutoCellSize(100, 100, 200, 200) === 8, 'Large maze switches to following the player');
+
+    const corner = getViewport(Object.assign({ mazeWidth: 100, mazeHeight: 100, centerX: 1, centerY: 1 }, map));
+    check(corner.offsetX === 0 && corner.offsetY === 0 && corner.startX === 0 && corner.endX === 24,
+      'Does not scroll past the top-left edge');
+
+    const middle = getViewport(Object.assign({ mazeWidth: 100, mazeHeight: 100, centerX: 50, centerY: 40 }, map));
+    const playerX = middle.offsetX + 50.5 * middle.cellSize;
+    const playerY = middle.offsetY + 40.5 * middle.cellSize;
+    check(playerX === 100 && playerY === 100 && middle.startX <= 50 && middle.endX >= 50,
+      'Keeps the player centred in the middle of the maze');
+
+    const far = getViewport(Object.assign({ mazeWidth: 100, mazeHeight: 100, centerX: 98, centerY: 98 }, map));
+    check(far.offsetX === 200 - 800 && far.endX === 99 && far.endY === 99,
+      'Does not scroll past the bottom-right edge');
+
+    // Fractional positions while animating give fractional offsets, not gaps
+    const moving = getViewport(Object.assign({ mazeWidth: 100, mazeHeight: 100, centerX: 50.5, centerY: 40 }, map));
+    check(moving.offsetX === middle.offsetX - 4, 'Scrolls smoothly between cells');
+
+    // Explicit zoom levels
+    const zoomed = getViewport(Object.assign({ mazeWidth: 15, mazeHeight: 15, centerX: 13, centerY: 13, zoom: 20 }, map));
+    check(zoomed.cellSize === 20 && zoomed.offsetX === -100 && zoomed.endX === 14,
+      'Zooming in on a small maze follows the player too');
+
+    check(getNextZoom(8, 1) === 10 && getNextZoom(8, -1) === 6, 'Steps to the next zoom level');
+    check(getNextZoom(13, 1) === 14 && getNextZoom(13, -1) === 10, 'Steps from a fitted size to the nearest level');
+    check(
+      getNextZoom(ZOOM_LEVELS[0], -1) === ZOOM_LEVELS[0] &&
+        getNextZoom(ZOOM_LEVELS[ZOOM_LEVELS.length - 1], 1) === ZOOM_LEVELS[ZOOM_LEVELS.length - 1],
+      'Stops at the smallest and largest zoom'
+    );
+
+    console.log(`\nViewport test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
+  } catch (err) {
+    console.error('Viewport test error:', err.message);
+    return false;
+  }
+}
+
+// Run test when executed directly
+if (require.main === module) {
+  if (testMazeViewport()) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMazeViewport
+};
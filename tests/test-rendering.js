@@ -1,147 +1,209 @@
 /**
- * Test rendering functionality in a mock browser environment
- * 
- * This test ensures the maze rendering functions can be executed
- * in a mock environment without errors. It doesn't test visual output.
+ * Snapshot tests for the game renderer
+ *
+ * This script draws the real first-person view, floor and ceiling and
+ * minimap for known positions in the bundled mazes onto recording canvases,
+ * and compares every call made against tests/snapshots/rendering.json.
+ * A change in the drawn geometry, colours or text fails the test.
+ *
+ * After an intended change to the drawing, rewrite the snapshots with
+ * `npm run snapshots:update` and review the difference.
  */
 
-// We need to mock browser objects like document, canvas, etc.
-const mockDocument = {
-  getElementById: (id) => {
-    // Mock different canvas and context elements
-    if (id === 'mazeView' || id === 'minimap') {
-      return {
-        getContext: () => mockCanvasContext,
-        width: 640,
-        height: 400
+const fs = require('fs');
+const path = require('path');
+const { GameEngine } = require('../js/maze-engine');
+const { GameRenderer } = require('../js/maze-renderer');
+const { findShortestPath } = require('../js/maze-solver');
+const { prepareLayout } = require('../js/maze-format');
+const { createRecordingCanvas } = require('./recording-canvas');
+
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'rendering.json');
+const MAZE_DIR = path.join(__dirname, '..', 'mazes');
+
+// Canvas sizes from index.html
+const VIEW_SIZE = { width: 640, height: 400 };
+const MINIMAP_SIZE = { width: 200, height: 240 };
+
+/**
+ * Start a bundled maze and walk `steps` cells along its shortest route
+ * @returns {Object} { engine, renderer, view, minimap, route }
+ */
+function setUp(file, steps = 0) {
+  const data = JSON.parse(fs.readFileSync(path.join(MAZE_DIR, file), 'utf8'));
+  const engine = new GameEngine({ mazeData: data, now: () => 0 });
+  const route = findShortestPath(prepareLayout(data), data.playerStart, null, {
+    collectAll: !!data.collectAll
+  }) || [];
+
+  const dx = [0, 1, 0, -1];
+  const dy = [-1, 0, 1, 0];
+  for (let i = 1; i <= steps && i < route.length; i++) {
+    const direction = dx.findIndex((x, d) =>
+      route[i - 1].x + x === route[i].x && route[i - 1].y + dy[d] === route[i].y);
+    while (engine.player.direction !== direction) engine.turnRight();
+    engine.moveForward();
+  }
+
+  const view = createRecordingCanvas(VIEW_SIZE.width, VIEW_SIZE.height);
+  const minimap = createRecordingCanvas(MINIMAP_SIZE.width, MINIMAP_SIZE.height);
+  const renderer = new GameRenderer({ engine, canvas: view, minimapCanvas: minimap });
+  return { engine, renderer, view, minimap, route };
+}
+
+// Where the player stands and faces
+function standing(engine) {
+  return Object.assign({}, engine.player);
+}
+
+/**
+ * Every drawing to check, by name
+ * @returns {Object} Name to a function returning the recorded lines
+ */
+function getCases() {
+  const cases = {};
+
+  cases['floor and ceiling'] = () => {
+    const { renderer, view } = setUp('tiny.json');
+    renderer.drawFloorAndCeiling();
+    return view.context.toLines();
+  };
+
+  // The view from the start of every bundled maze
+  fs.readdirSync(MAZE_DIR)
+    .filter(file => file.endsWith('.json') && file !== 'index.json')
+    .sort()
+    .forEach(file => {
+      cases[`${file} view from the start`] = () => {
+        const { engine, renderer, view } = setUp(file);
+        renderer.drawFirstPersonView(standing(engine));
+        return view.context.toLines();
       };
-    } else if (id === 'textArea' || id === 'exitsDisplay') {
-      return { innerHTML: '' };
-    }
-    return null;
-  },
-  addEventListener: () => {}
-};
+    });
 
-// Mock canvas context with all the methods we use
-const mockCanvasContext = {
-  fillStyle: '',
-  strokeStyle: '',
-  lineWidth: 1,
-  font: '',
-  fillRect: () => {},
-  fillText: () => {},
-  beginPath: () => {},
-  moveTo: () => {},
-  lineTo: () => {},
-  closePath: () => {},
-  stroke: () => {},
-  fill: () => {},
-  rect: () => {}
-};
+  // Part-way through a step and a turn
+  cases['spiral.json view half a step along the route'] = () => {
+    const { engine, renderer, view, route } = setUp('spiral.json', 1);
+    const position = standing(engine);
+    position.x = (route[0].x + route[1].x) / 2;
+    position.y = (route[0].y + route[1].y) / 2;
+    renderer.drawFirstPersonView(position);
+    return view.context.toLines();
+  };
+  cases['keys_and_doors.json view half way through a right turn'] = () => {
+    const { engine, renderer, view } = setUp('keys_and_doors.json', 4);
+    const position = standing(engine);
+    position.direction += 0.5;
+    renderer.drawFirstPersonView(position);
+    return view.context.toLines();
+  };
 
-// Mock window object
-const mockWindow = {
-  performance: {
-    now: () => Date.now()
-  },
-  requestAnimationFrame: (callback) => setTimeout(callback, 16)
-};
+  // A hint down the corridor and round the corner
+  cases['small.json view with a hint'] = () => {
+    const { engine, renderer, view } = setUp('small.json', 1);
+    engine.requestHint();
+    renderer.drawFirstPersonView(standing(engine));
+    return view.context.toLines();
+  };
+  cases['spiral.json minimap with a hint (explored)'] = () => {
+    const { engine, renderer, minimap } = setUp('spiral.json', 1);
+    engine.requestHint();
+    renderer.drawMiniMap(standing(engine), 'explored');
+    return minimap.context.toLines();
+  };
 
-// Export the mocks for use in other tests
-exports.mocks = {
-  document: mockDocument,
-  window: mockWindow,
-  context: mockCanvasContext
-};
+  // The minimap in each mode, fitted, followed and zoomed
+  const minimapCases = [
+    { file: 'tiny.json', steps: 0, mode: 'full' },
+    { file: 'keys_and_doors.json', steps: 6, mode: 'full' },
+    { file: 'spiral.json', steps: 10, mode: 'explored' },
+    { file: 'complex.json', steps: 0, mode: 'none' },
+    { file: 'huge.json', steps: 20, mode: 'full' },
+    { file: 'huge.json', steps: 20, mode: 'explored', zoom: 20 }
+  ];
+  minimapCases.forEach(({ file, steps, mode, zoom }) => {
+    const name = `${file} minimap after ${steps} steps (${mode}` +
+      (zoom ? `, zoomed to ${zoom}px)` : ')');
+    cases[name] = () => {
+      const { engine, renderer, minimap } = setUp(file, steps);
+      renderer.drawMiniMap(standing(engine), mode, zoom);
+      return minimap.context.toLines();
+    };
+  });
+
+  return cases;
+}
 
 /**
- * Test the rendering code
+ * Run rendering snapshot tests
+ * @param {Object} [options]
+ * @param {boolean} [options.update=false] - Rewrite the snapshots instead
+ *   of comparing against them
  */
-function testRendering() {
+function testRendering(options = {}) {
   try {
-    console.log('Testing maze rendering...');
-    
-    // Create a simple test maze
-    const testMaze = [
-      ['#', '#', '#', '#', '#'],
-      ['#', ' ', ' ', ' ', '#'],
-      ['#', ' ', '#', ' ', '#'],
-      ['#', ' ', ' ', 'E', '#'],
-      ['#', '#', '#', '#', '#']
-    ];
-    
-    // Mock basic MazeGame class for testing rendering
-    class TestMazeGame {
-      constructor() {
-        this.width = 5;
-        this.height = 5;
-        this.maze = testMaze;
-        this.player = { x: 1, y: 1, direction: 0 };
-        this.exit = { x: 3, y: 3 };
-        this.canvas = mockDocument.getElementById('mazeView');
-        this.ctx = this.canvas.getContext('2d');
-        this.minimapCanvas = mockDocument.getElementById('minimap');
-        this.minimapCtx = this.minimapCanvas.getContext('2d');
-        this.textArea = mockDocument.getElementById('textArea');
-        this.exitsDisplay = mockDocument.getElementById('exitsDisplay');
-        this.lastFrameTime = 0;
-      }
-      
-      // Simple render method for testing
-      render() {
-        // Clear main canvas
-        this.ctx.fillStyle = 'black';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw minimalist maze
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillText('Maze rendered', 10, 20);
-        
-        // Draw minimap
-        this.minimapCtx.fillStyle = 'black';
-        this.minimapCtx.fillRect(0, 0, 200, 200);
-        
-        for (let y = 0; y < this.height; y++) {
-          for (let x = 0; x < this.width; x++) {
-            if (this.maze[y][x] === '#') {
-              this.minimapCtx.fillStyle = 'white';
-              this.minimapCtx.fillRect(x * 10, y * 10, 10, 10);
-            } else if (this.maze[y][x] === 'E') {
-              this.minimapCtx.fillStyle = 'green';
-              this.minimapCtx.fillRect(x * 10, y * 10, 10, 10);
-            }
-          }
-        }
-        
-        // Draw player
-        this.minimapCtx.fillStyle = 'red';
-        this.minimapCtx.fillRect(this.player.x * 10, this.player.y * 10, 10, 10);
-        
-        return true;
+    console.log('Testing rendering against snapshots...');
+
+    let passCount = 0;
+    let failCount = 0;
+
+    const check = (passed, message) => {
+      if (passed) {
+        console.log(`✅ ${message}`);
+        passCount++;
+      } else {
+        console.error(`❌ ${message}`);
+        failCount++;
       }
-    }
-    
-    // Create and test rendering
-    const game = new TestMazeGame();
-    const renderResult = game.render();
-    
-    if (renderResult) {
-      console.log('✅ Render test passed');
+    };
+
+    const cases = getCases();
+    const actual = {};
+    Object.keys(cases).forEach(name => {
+      actual[name] = cases[name]();
+    });
+
+    if (options.update) {
+      fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+      fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(actual, null, 2) + '\n');
+      console.log(`Wrote ${Object.keys(actual).length} snapshots to ${path.relative(process.cwd(), SNAPSHOT_FILE)}`);
       return true;
-    } else {
-      console.error('❌ Render test failed');
-      return false;
     }
+
+    const expected = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+    Object.keys(actual).forEach(name => {
+      const lines = actual[name];
+      const snapshot = expected[name];
+      if (!snapshot) {
+        check(false, `${name}: no snapshot (run npm run snapshots:update)`);
+        return;
+      }
+
+      const index = lines.findIndex((line, i) => line !== snapshot[i]);
+      const differs = index >= 0 || lines.length !== snapshot.length;
+      const at = index >= 0 ? index : Math.min(lines.length, snapshot.length);
+      check(
+        lines.length > 0 && !differs,
+        differs
+          ? `${name}: call ${at + 1} differs\n   expected: ${snapshot[at] || '(nothing)'}\n   actual:   ${lines[at] || '(nothing)'}`
+          : `${name} (${lines.length} calls)`
+      );
+    });
+
+    const stale = Object.keys(expected).filter(name => !(name in actual));
+    check(stale.length === 0, stale.length === 0 ? 'Every snapshot is still drawn' : `Snapshots no longer drawn: ${stale.join(', ')}`);
+
+    console.log(`\nRendering test results: ${passCount} passed, ${failCount} failed`);
+    return failCount === 0;
   } catch (err) {
-    console.error('❌ Render test error:', err.message);
+    console.error('Rendering test error:', err.message);
     return false;
   }
 }
 
 // Run test when executed directly
 if (require.main === module) {
-  if (testRendering()) {
+  if (testRendering({ update: process.argv.includes('--update') })) {
     process.exit(0);
   } else {
     process.exit(1);
@@ -150,4 +212,4 @@ if (require.main === module) {
 
 module.exports = {
   testRendering
-};
\ No newline at end of file
+};